@@ -1,4 +1,329 @@
 CREATE INDEX IF NOT EXISTS idx_promo_codes_code ON promo_codes(code);
 CREATE INDEX IF NOT EXISTS idx_promo_codes_active ON promo_codes(active);
 CREATE INDEX IF NOT EXISTS idx_promo_redemptions_customer ON promo_code_redemptions(customer_id);
-CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo ON promo_code_redemptions(promo_code_id);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo ON promo_code_redemptions(promo_code_id);
+
+-- ============================================================
+-- RECIPIENT SCHEDULING — explicit weekday sets
+-- ============================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS delivery_days SMALLINT[];
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_frequency_check;
+ALTER TABLE users ADD CONSTRAINT users_frequency_check CHECK (frequency IN (
+    'daily',
+    'every-other-day',
+    'three-times-week',
+    'weekly',
+    'bi-weekly',
+    'custom'
+));
+
+-- ============================================================
+-- RECIPIENT SPECIAL DATES — birthdays, anniversaries, holidays
+-- ============================================================
+CREATE TABLE IF NOT EXISTS recipient_special_dates (
+    id SERIAL PRIMARY KEY,
+    recipient_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('birthday', 'anniversary', 'holiday')),
+    label VARCHAR(100),
+    month SMALLINT CHECK (month BETWEEN 1 AND 12),     -- birthday / anniversary
+    day SMALLINT CHECK (day BETWEEN 1 AND 31),
+    year SMALLINT,                                     -- optional (years together / age)
+    holiday_key VARCHAR(50),                           -- holiday only
+    last_sent_year SMALLINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_special_dates_recipient ON recipient_special_dates(recipient_id);
+CREATE INDEX IF NOT EXISTS idx_special_dates_customer ON recipient_special_dates(customer_id);
+
+-- ============================================================
+-- CUSTOM MESSAGE QUEUE — customer-written notes per recipient
+-- ============================================================
+CREATE TABLE IF NOT EXISTS recipient_custom_messages (
+    id SERIAL PRIMARY KEY,
+    recipient_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    position INT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent')),
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_messages_queue
+    ON recipient_custom_messages(recipient_id, status, position);
+
+-- ============================================================
+-- TEMPLATE ROTATION — which template produced each message
+-- ============================================================
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS template_id VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_recipient_sent
+    ON message_logs(recipient_id, sent_at DESC);
+
+-- ============================================================
+-- MESSAGE TEMPLATE LIBRARY — admin-managed, seeded from
+-- MESSAGE_TEMPLATES on first boot
+-- ============================================================
+CREATE TABLE IF NOT EXISTS message_templates (
+    id SERIAL PRIMARY KEY,
+    relationship VARCHAR(50) NOT NULL,                 -- recipient relationship or special-date set
+    tone VARCHAR(30),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    language VARCHAR(10) NOT NULL DEFAULT 'en',
+    body TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_templates_active
+    ON message_templates(relationship, language) WHERE active = true;
+
+-- ============================================================
+-- TEMPLATE VARIABLES — {nickname} per recipient
+-- ============================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS nickname VARCHAR(50);
+
+-- ============================================================
+-- DELIVERY STATUS — one message_logs row per channel attempt
+-- ============================================================
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS channel VARCHAR(20);
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS provider_message_id VARCHAR(255);
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'sent';
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS error TEXT;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 1;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP;
+
+ALTER TABLE message_logs DROP CONSTRAINT IF EXISTS message_logs_status_check;
+ALTER TABLE message_logs ADD CONSTRAINT message_logs_status_check
+    CHECK (status IN ('queued', 'sent', 'failed', 'delivered', 'bounced'));
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_provider_id
+    ON message_logs(provider_message_id) WHERE provider_message_id IS NOT NULL;
+
+-- ============================================================
+-- OUTBOUND RETRY QUEUE — failed channel sends with backoff,
+-- dead-lettered after max_attempts
+-- ============================================================
+CREATE TABLE IF NOT EXISTS outbound_jobs (
+    id SERIAL PRIMARY KEY,
+    recipient_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    message_log_id INT REFERENCES message_logs(id) ON DELETE SET NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'scheduled',     -- scheduled / custom / special-date / flower / admin
+    channel VARCHAR(20) NOT NULL,
+    payload JSONB NOT NULL,                            -- { subject, message, vars }
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'sent', 'dead', 'discarded')),
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_until TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_jobs_due
+    ON outbound_jobs(next_attempt_at) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_outbound_jobs_status ON outbound_jobs(status, updated_at DESC);
+
+-- ============================================================
+-- SCHEDULER — due-recipient scan used by the claim query
+-- ============================================================
+CREATE INDEX IF NOT EXISTS idx_users_due
+    ON users(next_delivery) WHERE is_active = true;
+
+-- ============================================================
+-- BREVO WEBHOOK — delivery / bounce / open events per message
+-- ============================================================
+CREATE TABLE IF NOT EXISTS message_events (
+    id SERIAL PRIMARY KEY,
+    message_log_id INT NOT NULL REFERENCES message_logs(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,                     -- brevo / twilio
+    event VARCHAR(40) NOT NULL,                        -- delivered / hard_bounce / opened / spam / ...
+    detail TEXT,
+    payload JSONB,
+    occurred_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (message_log_id, event, occurred_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_events_log ON message_events(message_log_id);
+
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS open_count INT NOT NULL DEFAULT 0;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS paused_reason VARCHAR(30);  -- hard_bounce / spam_complaint
+ALTER TABLE users ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP;
+
+-- ============================================================
+-- TWILIO STATUS CALLBACKS — flag numbers that keep failing
+-- ============================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_failure_count INT NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_flagged_reason VARCHAR(30);  -- invalid / landline / opted_out / repeated_failures
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sms_flagged_at TIMESTAMP;
+
+-- ============================================================
+-- SUPPRESSION LIST — opted-out addresses, checked on every send
+-- Unsubscribe and STOP mark the recipient opted out instead of
+-- deleting it (users.paused_reason 'unsubscribed' / 'sms_stop')
+-- ============================================================
+CREATE TABLE IF NOT EXISTS suppressions (
+    id SERIAL PRIMARY KEY,
+    channel VARCHAR(20) NOT NULL,                      -- email / sms
+    address VARCHAR(255) NOT NULL,                     -- lowercased email or E.164 phone
+    reason VARCHAR(30) NOT NULL,                       -- unsubscribed / sms_stop / spam_complaint
+    recipient_id INT REFERENCES users(id) ON DELETE SET NULL,
+    customer_id INT REFERENCES customers(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (channel, address)
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS opted_out_at TIMESTAMP;
+
+-- ============================================================
+-- DOUBLE OPT-IN — recipient consent (RECIPIENT_DOUBLE_OPT_IN=true)
+-- ============================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS consent_status VARCHAR(20) NOT NULL DEFAULT 'not_required'
+    CHECK (consent_status IN ('not_required', 'pending', 'confirmed'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS consent_token VARCHAR(64) UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS consent_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS consent_confirmed_at TIMESTAMP;
+
+-- ============================================================
+-- PREFERENCE CENTER — timed pauses and recipient-made changes
+-- paused_until auto-resumes (paused_reason 'recipient_pause')
+-- ============================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS paused_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferences_updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_users_paused_until
+    ON users(paused_until) WHERE paused_until IS NOT NULL;
+
+-- ============================================================
+-- QUIET HOURS & SMS WINDOW
+-- Per-recipient quiet hours (local HH:MM, may wrap midnight) and
+-- admin settings such as the legal SMS window ('sms_window')
+-- ============================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_start VARCHAR(5);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours_end VARCHAR(5);
+
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_by INT REFERENCES admins(id) ON DELETE SET NULL
+);
+
+INSERT INTO app_settings (key, value)
+VALUES ('sms_window', '{"enabled": true, "start": "08:00", "end": "21:00"}')
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================================
+-- PAUSE / RESUME & VACATION MODE
+-- users.paused_reason 'customer_pause' (+ optional paused_until)
+-- ============================================================
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS vacation_start DATE;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS vacation_end DATE;
+
+-- ============================================================
+-- QUIET HOURS — original slot of a deferred delivery, so the
+-- next one is scheduled from it and the cadence doesn't drift
+-- ============================================================
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deferred_from TIMESTAMP;
+
+-- ============================================================
+-- MESSAGE HISTORY
+-- message_type: scheduled | custom | special-date | flower | admin
+-- Older rows can only be told apart by the flower prefix
+-- ============================================================
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS message_type VARCHAR(20);
+
+UPDATE message_logs
+SET message_type = CASE WHEN message LIKE '🌸 A flower for you!%' THEN 'flower' ELSE 'scheduled' END
+WHERE message_type IS NULL;
+
+ALTER TABLE message_logs ALTER COLUMN message_type SET DEFAULT 'scheduled';
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_customer_history
+    ON message_logs (customer_id, sent_at DESC, id DESC);
+
+-- ============================================================
+-- STRUCTURED MESSAGE TYPES
+-- message_logs.payload holds type-specific data, e.g. a flower
+-- send's { "flower": "rose", "note": "..." }. customers.timezone
+-- is the customer's own day boundary for the daily flower limit.
+-- ============================================================
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS payload JSONB;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_flowers
+    ON message_logs (customer_id, recipient_id, sent_at)
+    WHERE message_type = 'flower';
+
+-- ============================================================
+-- GIFT CARDS
+-- One row per flower send; token is the public /gift/:token link
+-- ============================================================
+CREATE TABLE IF NOT EXISTS gifts (
+    id SERIAL PRIMARY KEY,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    customer_id INT REFERENCES customers(id) ON DELETE CASCADE,
+    recipient_id INT REFERENCES users(id) ON DELETE CASCADE,
+    flower VARCHAR(30) NOT NULL,
+    note TEXT,
+    sender_name VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    viewed_at TIMESTAMP,
+    view_count INT NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_gifts_recipient ON gifts (recipient_id, created_at DESC);
+
+-- ============================================================
+-- PHONE NUMBERS AS E.164
+-- Twilio's From is E.164, and STOP / START look recipients up
+-- by exact match, so stored numbers and SMS suppressions are
+-- rewritten the same way the server now saves them: keep a
+-- leading +, otherwise 10 digits (or 11 starting with 1) get
+-- the +1 default. Anything else is left for the customer to fix.
+-- ============================================================
+UPDATE users u
+SET phone_number = n.e164
+FROM (
+    SELECT id,
+           CASE
+               WHEN btrim(phone_number) LIKE '+%' THEN '+' || digits
+               WHEN length(digits) = 10 THEN '+1' || digits
+               WHEN length(digits) = 11 AND digits LIKE '1%' THEN '+' || digits
+           END AS e164
+    FROM (
+        SELECT id, phone_number, regexp_replace(phone_number, '\D', '', 'g') AS digits
+        FROM users
+        WHERE phone_number IS NOT NULL
+    ) p
+) n
+WHERE u.id = n.id
+  AND n.e164 ~ '^\+[1-9][0-9]{7,14}$'
+  AND u.phone_number IS DISTINCT FROM n.e164;
+
+UPDATE users SET phone_number = NULL WHERE btrim(phone_number) = '';
+
+-- Suppressions were digits-only; the E.164 row wins if both exist
+DELETE FROM suppressions s
+USING suppressions e
+WHERE s.channel = 'sms' AND e.channel = 'sms'
+  AND s.address ~ '^([0-9]{10}|1[0-9]{10})$'
+  AND e.address = CASE WHEN length(s.address) = 10 THEN '+1' || s.address ELSE '+' || s.address END;
+
+UPDATE suppressions
+SET address = CASE WHEN length(address) = 10 THEN '+1' || address ELSE '+' || address END
+WHERE channel = 'sms'
+  AND address ~ '^([0-9]{10}|1[0-9]{10})$';
+
+CREATE INDEX IF NOT EXISTS idx_users_phone_number ON users (phone_number);
@@ -0,0 +1,66 @@
+/***************************************************************
+ *  LoveTextForHer — SCHEDULER CLAIM
+ *  ----------------------------------------------------------
+ *  Due rows are locked with FOR UPDATE SKIP LOCKED and advanced
+ *  (by the caller's `advance`) in the same short transaction,
+ *  before anything is sent. Another instance running the same
+ *  query skips rows that are locked, and once committed their
+ *  next_delivery is no longer due — so concurrent workers never
+ *  claim the same slot.
+ *
+ *  Takes the pool as an argument so the concurrency tests can
+ *  run it against a scratch database.
+ ***************************************************************/
+
+/**
+ * Lock up to `limit` due recipients and advance each one.
+ * @param {import('pg').Pool} pool
+ * @param {Date} now
+ * @param {number} limit
+ * @param {(client, r) => Promise<object|null>} advance - Moves the
+ *        row's next_delivery past `now` using `client`; returns the
+ *        slot to deliver, or null when the slot was only moved
+ *        (vacation, quiet hours)
+ * @returns {Promise<{ slots: object[], locked: number }>} Slots this
+ *          caller now owns, and how many due rows it locked; a full
+ *          batch (locked === limit) means more may still be due
+ */
+export async function claimDueRecipients(pool, now, limit, advance) {
+    const client = await pool.connect();
+
+    try {
+        await client.query("BEGIN");
+
+        // Only recipients whose customer still has an active subscription
+        const due = await client.query(`
+            SELECT u.*,
+                   to_char(c.vacation_start, 'YYYY-MM-DD') AS vacation_start,
+                   to_char(c.vacation_end, 'YYYY-MM-DD') AS vacation_end
+            FROM users u
+            JOIN customers c ON u.customer_id = c.id
+            WHERE u.is_active = true
+              AND u.consent_status <> 'pending'
+              AND u.next_delivery <= $1
+              AND (c.has_subscription = true OR c.subscription_end > $1)
+            ORDER BY u.next_delivery
+            LIMIT $2
+            FOR UPDATE OF u SKIP LOCKED
+        `, [now, limit]);
+
+        const slots = [];
+
+        for (const r of due.rows) {
+            const slot = await advance(client, r);
+            if (slot) slots.push(slot);
+        }
+
+        await client.query("COMMIT");
+        return { slots, locked: due.rows.length };
+
+    } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
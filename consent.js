@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+
+/***************************************************************
+ *  LoveTextForHer — RECIPIENT CONSENT
+ *  ----------------------------------------------------------
+ *  With double opt-in on, consent belongs to an address, not to
+ *  the recipient row: whoever owns a new email or phone number
+ *  has to accept before anything is sent there. Adding a
+ *  recipient and editing one both go through consentFor.
+ ***************************************************************/
+export function newConsentToken() {
+    return crypto.randomBytes(24).toString("hex");
+}
+
+// A new email, or a phone number that is new (not just removed)
+export function contactAddressChanged(before, after) {
+    return after.email !== before.email
+        || Boolean(after.phone_number && after.phone_number !== before.phone_number);
+}
+
+/**
+ * Consent columns for a recipient being added (before = null)
+ * or edited.
+ * @param {object|null} before - Current users row
+ * @param {object} after - Merged row being saved
+ * @param {boolean} doubleOptIn
+ * @returns {{ consent_status: string, consent_token: string|null,
+ *             consent_confirmed_at: Date|null, requestConsent: boolean }}
+ *          requestConsent is true when a confirmation request has
+ *          to go out once the row is saved
+ */
+export function consentFor(before, after, doubleOptIn) {
+    if (doubleOptIn && (!before || contactAddressChanged(before, after))) {
+        return {
+            consent_status: "pending",
+            consent_token: newConsentToken(),
+            consent_confirmed_at: null,
+            requestConsent: true
+        };
+    }
+
+    if (!before) {
+        return {
+            consent_status: "not_required",
+            consent_token: null,
+            consent_confirmed_at: null,
+            requestConsent: false
+        };
+    }
+
+    return {
+        consent_status: before.consent_status,
+        consent_token: before.consent_token,
+        consent_confirmed_at: before.consent_confirmed_at,
+        requestConsent: false
+    };
+}
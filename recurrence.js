@@ -0,0 +1,159 @@
+import moment from 'moment-timezone';
+
+/***************************************************************
+ *  LoveTextForHer — RECURRENCE ENGINE
+ *  ----------------------------------------------------------
+ *  Pure scheduling math shared by server.js (recipient routes,
+ *  scheduler, calendar projection) and the unit tests.
+ *
+ *  - Interval frequencies (daily / every-other-day / weekly /
+ *    bi-weekly) are anchored on the recipient's last_sent date
+ *  - Weekday frequencies (three-times-week / custom) pick the
+ *    next allowed weekday from delivery_days (0 = Sun … 6 = Sat)
+ *  - Days are stepped on the local calendar and the hour is set
+ *    afterwards, so DST changes never shift the delivery time
+ *  - timings is a preset (morning…), an exact "HH:MM" or a
+ *    "HH:MM-HH:MM" window where a random minute is picked per send
+ ***************************************************************/
+export const DEFAULT_TIMEZONE = "America/Chicago";
+
+export const TIMING_HOURS = {
+    morning: 9,      // 9 AM
+    afternoon: 13,   // 1 PM
+    evening: 18,     // 6 PM
+    night: 22        // 10 PM
+};
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const DEFAULT_TIMING = "12:00";   // Noon, when no timing was chosen
+
+export const FREQUENCY_INTERVAL_DAYS = {
+    "daily": 1,
+    "every-other-day": 2,
+    "weekly": 7,
+    "bi-weekly": 14
+};
+
+export const DEFAULT_WEEKDAYS = {
+    "three-times-week": [1, 3, 5]   // Mon / Wed / Fri
+};
+
+/**
+ * Normalize a weekday list from the API or DB into sorted unique 0-6 ints.
+ * Accepts an array or a comma separated string. Returns null when empty/invalid.
+ */
+export function parseDeliveryDays(input) {
+    if (input === null || input === undefined || input === "") return null;
+
+    const raw = (Array.isArray(input) ? input : String(input).split(","))
+        .map(d => String(d).trim());
+
+    // Number("") is 0 (Sunday), so "1,,3" must be rejected, not read as Sunday
+    if (!raw.length || raw.some(d => !/^\d$/.test(d))) return null;
+
+    const days = [...new Set(raw.map(Number))];
+    if (days.some(d => d > 6)) return null;
+
+    return days.sort((a, b) => a - b);
+}
+
+/**
+ * Parse a timings value into a { start, end } window in minutes after midnight.
+ * Presets and exact times give start === end. Returns null when invalid.
+ */
+export function parseTiming(timing) {
+    if (Object.hasOwn(TIMING_HOURS, timing)) {
+        const minutes = TIMING_HOURS[timing] * 60;
+        return { start: minutes, end: minutes };
+    }
+
+    const parts = String(timing || "").split("-");
+    if (parts.length > 2 || !parts.every(p => TIME_PATTERN.test(p))) return null;
+
+    const [start, end = start] = parts.map(p => {
+        const [h, m] = p.split(":").map(Number);
+        return h * 60 + m;
+    });
+
+    if (end < start) return null;   // Windows can't cross midnight
+
+    return { start, end };
+}
+
+/**
+ * Moment for the delivery slot on the given local calendar day.
+ * Windows get a random minute; on the current day only the part
+ * of the window that is still ahead of `now` is used.
+ */
+export function deliverySlotOn(day, timing, tz, now = null) {
+    const window = parseTiming(timing) || parseTiming(DEFAULT_TIMING);
+
+    let earliest = window.start;
+    if (now && day.isSame(now, "day")) {
+        earliest = Math.max(earliest, now.hours() * 60 + now.minutes() + 1);
+    }
+
+    const span = window.end - earliest;
+    const minuteOfDay = span >= 0
+        ? earliest + Math.floor(Math.random() * (span + 1))
+        : window.start;
+
+    return moment.tz({
+        year: day.year(),
+        month: day.month(),
+        date: day.date(),
+        hour: Math.floor(minuteOfDay / 60),
+        minute: minuteOfDay % 60,
+        second: 0,
+        millisecond: 0
+    }, tz);
+}
+
+/**
+ * Calculate the next delivery time for a recipient.
+ * @param {string} freq - One of VALID_FREQUENCIES
+ * @param {string} timing - Preset, "HH:MM" or "HH:MM-HH:MM" window
+ * @param {string} timezone - IANA zone of the recipient
+ * @param {Date|null} lastSent - Last delivery (anchor for interval frequencies)
+ * @param {number[]|null} deliveryDays - Weekdays for three-times-week / custom
+ * @param {Date} [from] - Reference "now" (defaults to current time)
+ * @returns {Date} UTC date for database storage
+ */
+export function calculateNextDelivery(freq, timing, timezone, lastSent = null, deliveryDays = null, from = new Date()) {
+    const tz = timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    const now = moment(from).tz(tz);
+    const today = now.clone().startOf("day");
+    const lastDay = lastSent ? moment(lastSent).tz(tz).startOf("day") : null;
+
+    // Weekday-based schedules
+    const weekdays = parseDeliveryDays(deliveryDays) || DEFAULT_WEEKDAYS[freq];
+    if (freq === "custom" || DEFAULT_WEEKDAYS[freq]) {
+        const allowed = weekdays || [0, 1, 2, 3, 4, 5, 6];
+
+        for (let i = 0; i <= 14; i++) {
+            const day = today.clone().add(i, "days");
+            if (!allowed.includes(day.day())) continue;
+            if (lastDay && !day.isAfter(lastDay)) continue;
+
+            const slot = deliverySlotOn(day, timing, tz, now);
+            if (slot.isAfter(now)) return slot.toDate();
+        }
+    }
+
+    // Interval-based schedules anchored on last_sent
+    const interval = FREQUENCY_INTERVAL_DAYS[freq] || 1;
+
+    if (lastDay) {
+        const anchored = deliverySlotOn(lastDay.clone().add(interval, "days"), timing, tz, now);
+        if (anchored.isAfter(now)) return anchored.toDate();
+    }
+
+    // First delivery (or overdue): next available slot from today
+    let next = deliverySlotOn(today, timing, tz, now);
+    if (!next.isAfter(now)) {
+        next = deliverySlotOn(today.clone().add(1, "day"), timing, tz, now);
+    }
+
+    return next.toDate();
+}
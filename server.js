@@ -20,10 +20,19 @@ import { fileURLToPath } from 'url';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import cron from 'node-cron';
 import Stripe from 'stripe';
 import brevo from '@getbrevo/brevo';
 import twilio from 'twilio';
+import {
+    DEFAULT_TIMEZONE,
+    DEFAULT_TIMING,
+    TIME_PATTERN,
+    parseDeliveryDays,
+    parseTiming,
+    calculateNextDelivery
+} from './recurrence.js';
+import { claimDueRecipients as claimDue } from './claim.js';
+import { consentFor } from './consent.js';
 
 // ES modules don't have __dirname, so we need to create it
 const __filename = fileURLToPath(import.meta.url);
@@ -408,11 +417,21 @@ function sanitize(str) {
     if (!str || typeof str !== "string") return str;
     return str.replace(/[<>'"]/g, "");
 }
+// For names and notes put into email / page HTML
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
 function generateToken(payload) {
     return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" });
 }
 
 global.__LT_sanitize = sanitize;
+global.__LT_escapeHtml = escapeHtml;
 global.__LT_generateToken = generateToken;
 
 /***************************************************************
@@ -429,6 +448,8 @@ console.log("💰 PRICE MAP LOADED:", global.__LT_prices);
  *  LoveTextForHer — BACKEND (PART 2 OF 7)
  *  ----------------------------------------------------------
  *  ✔ Message templates
+ *  ✔ Template library cache + seeder
+ *  ✔ Template variables
  *  ✔ Build message
  *  ✔ Build email HTML
  *  ✔ Admin seeder
@@ -501,28 +522,279 @@ const MESSAGE_TEMPLATES = {
         "Hey {name}, someone cares about you ❤️",
         "A message to brighten your day ✨",
         "Sending a little love your way 💌"
+    ],
+
+    // Special dates (sent on top of the normal cadence)
+    birthday: [
+        "Happy birthday, {name}! 🎂 The world got a whole lot brighter the day you arrived. ✨❤️",
+        "{name}, happy birthday! 🎉 Here's to another year of you being completely wonderful. 💞🥳",
+        "Happy birthday {name} 🎈 Someone is celebrating you today, and every day. ❤️✨"
+    ],
+    anniversary: [
+        "Happy anniversary, {name} 💍 Every day with you is my favourite day. ❤️🥺✨",
+        "{name}, happy anniversary! 💞 Still choosing you, today and always. ✨❤️",
+        "Happy anniversary {name} 🥂 Here's to every moment so far and all the ones still coming. 💞🌎"
+    ],
+    holiday: [
+        "Happy {holiday}, {name}! ❤️ Someone is thinking of you today. ✨",
+        "{name}, wishing you the happiest {holiday} 💞",
+        "Happy {holiday} {name} 🎉 Sending you all the love today. 💌"
     ]
 };
 
+/***************************************************************
+ *  TEMPLATE LIBRARY CACHE
+ *  Templates live in the message_templates table (managed from
+ *  admin_templates.html). MESSAGE_TEMPLATES above seeds the table
+ *  on first boot and is the fallback until the cache has loaded.
+ *
+ *  Template IDs get stored in message_logs so rotation can skip
+ *  whatever the recipient saw recently: the row id for database
+ *  templates, "<set>:<index>" for the built-in fallback.
+ ***************************************************************/
+const DEFAULT_TEMPLATE_LANGUAGE = "en";
+const TEMPLATE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const BUILT_IN_TEMPLATE_SETS = Object.fromEntries(
+    Object.entries(MESSAGE_TEMPLATES).map(([key, lines]) => [
+        key,
+        lines.map((body, i) => ({ id: `${key}:${i}`, body, language: DEFAULT_TEMPLATE_LANGUAGE }))
+    ])
+);
+
+let templateCache = null;
+let templateCacheLoading = null;
+
+async function loadTemplateCache() {
+    if (templateCacheLoading) return templateCacheLoading;
+
+    templateCacheLoading = (async () => {
+        try {
+            const q = await global.__LT_pool.query(
+                `SELECT id, relationship, body, language
+                 FROM message_templates
+                 WHERE active = true
+                 ORDER BY id`
+            );
+
+            const sets = {};
+            for (const row of q.rows) {
+                if (!sets[row.relationship]) sets[row.relationship] = [];
+                sets[row.relationship].push({
+                    id: String(row.id),
+                    body: row.body,
+                    language: row.language
+                });
+            }
+
+            templateCache = { sets, loadedAt: Date.now() };
+            console.log(`📝 Template cache loaded (${q.rows.length} active templates)`);
+        } catch (err) {
+            console.error("❌ TEMPLATE CACHE ERROR:", err);
+        } finally {
+            templateCacheLoading = null;
+        }
+        return templateCache;
+    })();
+
+    return templateCacheLoading;
+}
+
+function templateSets() {
+    // Stale copies keep serving while a refresh runs in the background
+    if (!templateCache || Date.now() - templateCache.loadedAt > TEMPLATE_CACHE_TTL_MS) {
+        loadTemplateCache();
+    }
+
+    return templateCache && Object.keys(templateCache.sets).length
+        ? templateCache.sets
+        : BUILT_IN_TEMPLATE_SETS;
+}
+
+function templateSet(setKey, language = DEFAULT_TEMPLATE_LANGUAGE) {
+    const sets = templateSets();
+    const set = sets[setKey] || sets.default || BUILT_IN_TEMPLATE_SETS.default;
+
+    // Prefer the requested language, otherwise use whatever the set has
+    const localized = set.filter(t => t.language === language);
+    return localized.length ? localized : set;
+}
+
+/***************************************************************
+ *  TEMPLATE VARIABLES
+ *  {name}               → value, empty when missing
+ *  {nickname|name}      → first variable that has a value
+ *  {sender_name|"me"}   → quoted text as the last resort
+ *  Shared by templates, custom messages, flower notes and the
+ *  email greeting. Unknown variables are rejected on save.
+ ***************************************************************/
+const TEMPLATE_VARIABLES = {
+    name: "Recipient's name",
+    sender_name: "Your name",
+    nickname: "Recipient's nickname",
+    days_together: "Days since your anniversary",
+    weekday: "Day of the week it's delivered",
+    holiday: "Holiday name (holiday messages)"
+};
+
+const TEMPLATE_TOKEN = /\{([^{}]*)\}/g;
+const TEMPLATE_LITERAL = /^["“”](.*)["“”]$/;
+
+const EMAIL_GREETING_TEMPLATE = "Hello {nickname|name} ❤️";
+
+// Returns an error string for unknown variables / stray braces, or null
+function validateTemplate(template) {
+    const text = String(template ?? "");
+
+    for (const [, inner] of text.matchAll(TEMPLATE_TOKEN)) {
+        for (const part of inner.split("|").map(p => p.trim())) {
+            if (TEMPLATE_LITERAL.test(part)) continue;
+
+            if (!part) return "Empty {} placeholder";
+            if (!TEMPLATE_VARIABLES[part]) return `Unknown variable {${part}}`;
+        }
+    }
+
+    if (/[{}]/.test(text.replace(TEMPLATE_TOKEN, "")))
+        return "Unmatched { or } in message";
+
+    return null;
+}
+
+// Substitutes every placeholder; missing values fall through the | chain
+function renderTemplate(template, vars = {}) {
+    return String(template ?? "")
+        .replace(TEMPLATE_TOKEN, (_, inner) => {
+            for (const part of inner.split("|").map(p => p.trim())) {
+                const literal = part.match(TEMPLATE_LITERAL);
+                if (literal) return literal[1];
+
+                const value = vars[part];
+                if (value !== undefined && value !== null && value !== "") return String(value);
+            }
+            return "";
+        })
+        .replace(/[ \t]{2,}/g, " ")
+        .trim();
+}
+
+async function buildTemplateVars(recipient, { when = new Date(), holiday = null } = {}) {
+    const tz = recipient.timezone && moment.tz.zone(recipient.timezone)
+        ? recipient.timezone
+        : DEFAULT_TIMEZONE;
+    const local = moment(when).tz(tz);
+
+    const senderQ = await global.__LT_pool.query(
+        "SELECT name FROM customers WHERE id=$1",
+        [recipient.customer_id]
+    );
+
+    // Days together counts from the anniversary that has a year on it
+    const anniversaryQ = await global.__LT_pool.query(
+        `SELECT month, day, year FROM recipient_special_dates
+         WHERE recipient_id=$1 AND kind='anniversary' AND year IS NOT NULL
+         ORDER BY id LIMIT 1`,
+        [recipient.id]
+    );
+
+    const anniversary = anniversaryQ.rows[0];
+    let daysTogether = null;
+    if (anniversary) {
+        const start = moment.tz(
+            { year: anniversary.year, month: anniversary.month - 1, day: anniversary.day },
+            tz
+        );
+        if (start.isValid() && !start.isAfter(local, "day")) {
+            daysTogether = local.clone().startOf("day").diff(start, "days");
+        }
+    }
+
+    return {
+        name: global.__LT_sanitize(recipient.name),
+        sender_name: global.__LT_sanitize(senderQ.rows[0]?.name) || null,
+        nickname: global.__LT_sanitize(recipient.nickname) || null,
+        days_together: daysTogether,
+        weekday: local.format("dddd"),
+        // Holiday names come from HOLIDAYS or a saved label; sanitize()
+        // would strip the apostrophe in "Valentine's Day"
+        holiday: sanitizeCustomMessage(holiday) || null
+    };
+}
+
+/***************************************************************
+ *  TEMPLATE PICKER
+ ***************************************************************/
+function templateSetKey(relationship) {
+    const key = relationship?.toLowerCase();
+    return templateSets()[key] ? key : "default";
+}
+
+function pickTemplate(setKey, excludeIds = [], language = DEFAULT_TEMPLATE_LANGUAGE) {
+    const set = templateSet(setKey, language);
+
+    // Fall back to the full set if everything was excluded
+    const fresh = set.filter(t => !excludeIds.includes(t.id));
+    const pool = fresh.length ? fresh : set;
+
+    const picked = pool[Math.floor(Math.random() * pool.length)];
+    return { id: picked.id, template: picked.body };
+}
+
 /***************************************************************
  *  BUILD LOVE MESSAGE
  ***************************************************************/
-function buildMessage(name, relationship) {
-    const cleanName = global.__LT_sanitize(name);
-    const set =
-        MESSAGE_TEMPLATES[relationship?.toLowerCase()] ||
-        MESSAGE_TEMPLATES.default;
+function buildMessage(vars, relationship, recentTemplateIds = []) {
+    const { id, template } = pickTemplate(templateSetKey(relationship), recentTemplateIds);
+
+    return { message: renderTemplate(template, vars), templateId: id };
+}
+
+/***************************************************************
+ *  BUILD ROTATED MESSAGE — no repeats until the set is exhausted
+ *  Excludes the last (set size - 1) templates this recipient got
+ ***************************************************************/
+async function buildRotatedMessage(recipient, vars = null) {
+    const set = templateSet(templateSetKey(recipient.relationship));
+
+    const recentQ = await global.__LT_pool.query(
+        `SELECT template_id FROM message_logs
+         WHERE recipient_id=$1 AND template_id = ANY($2)
+         GROUP BY template_id
+         ORDER BY MAX(sent_at) DESC
+         LIMIT $3`,
+        [recipient.id, set.map(t => t.id), set.length - 1]
+    );
+
+    return buildMessage(
+        vars || await buildTemplateVars(recipient),
+        recipient.relationship,
+        recentQ.rows.map(row => row.template_id)
+    );
+}
+
+/***************************************************************
+ *  BUILD SPECIAL DATE MESSAGE (birthday / anniversary / holiday)
+ ***************************************************************/
+function buildSpecialDateMessage(vars, kind) {
+    const { id, template } = pickTemplate(templateSets()[kind] ? kind : "default");
 
-    const template = set[Math.floor(Math.random() * set.length)];
-    return template.replace("{name}", cleanName);
+    return {
+        message: renderTemplate(template, { ...vars, holiday: vars.holiday || "holidays" }),
+        templateId: id
+    };
 }
 
 /***************************************************************
  *  EMAIL BUILDER
  ***************************************************************/
-function buildLoveEmailHTML(name, message, unsubscribeURL) {
+function buildLoveEmailHTML(name, message, unsubscribeURL, vars = null, preferencesURL = null, icon = "💌") {
     const cleanName = global.__LT_sanitize(name);
-    const cleanMsg = global.__LT_sanitize(message);
+    // Message is element text, so only tag characters need stripping —
+    // apostrophes stay ("Happy Mother's Day")
+    const cleanMsg = String(message ?? "").replace(/[<>]/g, "");
+    const greeting = global.__LT_sanitize(
+        renderTemplate(EMAIL_GREETING_TEMPLATE, vars || { name: cleanName })
+    );
 
     return `
         <!DOCTYPE html>
@@ -534,10 +806,10 @@ function buildLoveEmailHTML(name, message, unsubscribeURL) {
         <body style="margin:0;padding:0;font-family:Arial,sans-serif;background-color:#f5f5f5;">
             <div style="max-width:600px;margin:40px auto;background-color:white;border-radius:8px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
                 <div style="background-color:#d6336c;padding:30px;border-radius:8px 8px 0 0;text-align:center;">
-                    <h1 style="color:white;margin:0;font-size:28px;">💌</h1>
+                    <h1 style="color:white;margin:0;font-size:28px;">${icon}</h1>
                 </div>
                 <div style="padding:40px 30px;">
-                    <h2 style="color:#d6336c;margin-top:0;">Hello ${cleanName} ❤️</h2>
+                    <h2 style="color:#d6336c;margin-top:0;">${greeting}</h2>
                     <p style="font-size:18px;line-height:1.8;color:#333;margin:20px 0;">
                         ${cleanMsg}
                     </p>
@@ -548,6 +820,10 @@ function buildLoveEmailHTML(name, message, unsubscribeURL) {
                            style="color:#d6336c;text-decoration:none;font-weight:bold;">
                             Click here to unsubscribe
                         </a>
+                        ${preferencesURL ? `
+                        <br>or <a href="${preferencesURL}" style="color:#d6336c;text-decoration:none;">
+                            pause or get fewer messages
+                        </a>` : ''}
                     </p>
                 </div>
             </div>
@@ -583,6 +859,42 @@ async function seedAdmin() {
 
 seedAdmin();
 
+/***************************************************************
+ *  MESSAGE TEMPLATE SEEDER
+ *  Copies the built-in MESSAGE_TEMPLATES into an empty table
+ ***************************************************************/
+const SPECIAL_TEMPLATE_SETS = ["birthday", "anniversary", "holiday"];
+
+async function seedMessageTemplates() {
+    try {
+        const result = await global.__LT_pool.query(
+            "SELECT id FROM message_templates LIMIT 1"
+        );
+
+        if (result.rows.length === 0) {
+            for (const [relationship, lines] of Object.entries(MESSAGE_TEMPLATES)) {
+                const tags = SPECIAL_TEMPLATE_SETS.includes(relationship) ? ["special-date"] : [];
+
+                for (const body of lines) {
+                    await global.__LT_pool.query(
+                        `INSERT INTO message_templates (relationship, body, tags, language)
+                         VALUES ($1, $2, $3, $4)`,
+                        [relationship, body, tags, DEFAULT_TEMPLATE_LANGUAGE]
+                    );
+                }
+            }
+
+            console.log("🌟 Message templates seeded");
+        }
+    } catch (err) {
+        console.error("❌ TEMPLATE SEED ERROR:", err);
+    }
+
+    await loadTemplateCache();
+}
+
+seedMessageTemplates();
+
 /***************************************************************
  *  PLAN NORMALIZATION
  ***************************************************************/
@@ -636,10 +948,18 @@ async function enforceRecipientLimit(customerId, newPlan) {
  *  EXPORT GLOBALS
  ***************************************************************/
 global.__LT_buildMessage = buildMessage;
+global.__LT_buildRotatedMessage = buildRotatedMessage;
+global.__LT_buildSpecialDateMessage = buildSpecialDateMessage;
+global.__LT_loadTemplateCache = loadTemplateCache;
+global.__LT_renderTemplate = renderTemplate;
+global.__LT_validateTemplate = validateTemplate;
+global.__LT_buildTemplateVars = buildTemplateVars;
 global.__LT_buildLoveEmailHTML = buildLoveEmailHTML;
 global.__LT_normalizePlan = normalizePlan;
 global.__LT_getRecipientLimit = getRecipientLimit;
 global.__LT_enforceRecipientLimit = enforceRecipientLimit;
+global.__LT_calculateNextDelivery = calculateNextDelivery;
+global.__LT_parseDeliveryDays = parseDeliveryDays;
 
 /***************************************************************
  *  AUDIT LOG SYSTEM - Add to your server.js
@@ -1031,7 +1351,7 @@ app.get("/api/customer/me", global.__LT_authCustomer, async (req, res) => {
     try {
         const q = await global.__LT_pool.query(
             `SELECT 
-                id, email, name, has_subscription, current_plan
+                id, email, name, has_subscription, current_plan, timezone
              FROM customers
              WHERE id=$1`,
             [req.user.id]
@@ -1047,6 +1367,31 @@ app.get("/api/customer/me", global.__LT_authCustomer, async (req, res) => {
         return res.status(500).json({ customer: null });
     }
 });
+
+/***************************************************************
+ *  CUSTOMER — timezone
+ *  Sets the customer's own day boundary (e.g. the daily flower
+ *  limit). The dashboard fills it from the browser on first load.
+ ***************************************************************/
+app.put("/api/customer/timezone", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const timezone = global.__LT_sanitize(req.body.timezone);
+
+        if (typeof timezone !== "string" || !moment.tz.zone(timezone))
+            return res.status(400).json({ error: "Invalid timezone" });
+
+        await global.__LT_pool.query(
+            "UPDATE customers SET timezone=$1 WHERE id=$2",
+            [timezone, req.user.id]
+        );
+
+        return res.json({ success: true, timezone });
+
+    } catch (err) {
+        console.error("CUSTOMER TIMEZONE ERROR:", err);
+        return res.status(500).json({ error: "Server error updating timezone" });
+    }
+});
 /***************************************************************
  *  LoveTextForHer — BACKEND (PART 4 OF 7)
  *  ----------------------------------------------------------
@@ -1427,19 +1772,55 @@ app.get("/api/customer/subscription/portal",
 
 /***************************************************************
  *  LOG MESSAGE — Used by cron & manual sends
+ *  One row per channel attempt, taken from the dispatchMessage
+ *  result: status 'sent' or 'failed' (never both), plus the
+ *  provider message ID that delivery webhooks match on later.
+ *  All rows of one dispatch share the same sent_at.
  ***************************************************************/
-async function logMessage(customerId, recipientId, email, message) {
+const MESSAGE_STATUSES = ["queued", "sent", "failed", "delivered", "bounced"];
+const MESSAGE_TYPES = ["scheduled", "custom", "special-date", "flower", "admin"];
+
+async function logMessage(customerId, recipientId, email, message, templateId = null, delivery = null, messageType = "scheduled", payload = null) {
+    const results = delivery?.results?.length
+        ? delivery.results
+        : [{ channel: null, ok: true, providerMessageId: null, error: null }];
+
+    const values = [];
+    const rows = results.map((result, i) => {
+        const error = result.skipped
+            ? result.error || `No ${result.channel} address on file`
+            : result.error || null;
+
+        values.push(
+            result.channel,
+            result.providerMessageId || null,
+            result.ok ? "sent" : "failed",
+            error
+        );
+
+        const base = 7 + i * 4;
+        return `($1,$2,$3,$4,$5,$6,$7,NOW(),$${base + 1},$${base + 2},$${base + 3},$${base + 4},1)`;
+    });
+
     try {
-        await global.__LT_pool.query(
-            `INSERT INTO message_logs (customer_id, recipient_id, email, message)
-             VALUES ($1,$2,$3,$4)`,
-            [customerId, recipientId, email, message]
+        const q = await global.__LT_pool.query(
+            `INSERT INTO message_logs
+                (customer_id, recipient_id, email, message, template_id, message_type, payload,
+                 sent_at, channel, provider_message_id, status, error, attempts)
+             VALUES ${rows.join(", ")}
+             RETURNING id, channel, status`,
+            [customerId, recipientId, email, message, templateId, messageType,
+             payload ? JSON.stringify(payload) : null, ...values]
         );
+        return q.rows;
     } catch (err) {
         console.error("LOG MESSAGE ERROR:", err);
+        return [];
     }
 }
 global.__LT_logMessage = logMessage;
+global.__LT_MESSAGE_STATUSES = MESSAGE_STATUSES;
+global.__LT_MESSAGE_TYPES = MESSAGE_TYPES;
 
 /***************************************************************
  *  GET RECIPIENTS FOR CUSTOMER
@@ -1448,14 +1829,61 @@ app.get("/api/customer/recipients", global.__LT_authCustomer, async (req, res) =
     try {
         const q = await global.__LT_pool.query(
             `SELECT 
-                id, email, name, relationship, frequency, timings, timezone,
-                next_delivery, last_sent, is_active
+                id, email, phone_number, delivery_method, name, nickname, relationship,
+                frequency, delivery_days, timings, timezone, next_delivery,
+                last_sent, is_active, paused_reason, paused_at, sms_flagged_reason,
+                opted_out_at, consent_status, consent_requested_at, consent_confirmed_at,
+                paused_until, preferences_updated_at, quiet_hours_start, quiet_hours_end
              FROM users
              WHERE customer_id=$1
              ORDER BY id DESC`,
             [req.user.id]
         );
 
+        // Email open rate per recipient, from Brevo open events
+        const opensQ = await global.__LT_pool.query(
+            `SELECT recipient_id,
+                    COUNT(*) FILTER (WHERE status IN ('sent','delivered')) AS sent,
+                    COUNT(*) FILTER (WHERE opened_at IS NOT NULL) AS opened
+             FROM message_logs
+             WHERE customer_id=$1 AND channel='email'
+             GROUP BY recipient_id`,
+            [req.user.id]
+        );
+
+        const opensByRecipient = new Map(opensQ.rows.map(o => [o.recipient_id, o]));
+
+        for (const r of q.rows) {
+            const o = opensByRecipient.get(r.id);
+            const sent = o ? Number(o.sent) : 0;
+            const opened = o ? Number(o.opened) : 0;
+
+            r.email_stats = {
+                sent,
+                opened,
+                openRate: sent ? Math.round((opened / sent) * 100) : null
+            };
+        }
+
+        // Attach the closest upcoming special date for the card countdown
+        const datesQ = await global.__LT_pool.query(
+            "SELECT * FROM recipient_special_dates WHERE customer_id=$1",
+            [req.user.id]
+        );
+
+        for (const r of q.rows) {
+            r.next_special_date = datesQ.rows
+                .filter(d => d.recipient_id === r.id)
+                .map(d => ({
+                    id: d.id,
+                    kind: d.kind,
+                    label: specialDateLabel(d),
+                    ...nextSpecialDate(d, r.timezone)
+                }))
+                .filter(d => d.date)
+                .sort((a, b) => a.daysUntil - b.daysUntil)[0] || null;
+        }
+
         return res.json(q.rows);
 
     } catch (err) {
@@ -1468,8 +1896,9 @@ app.get("/api/customer/recipients", global.__LT_authCustomer, async (req, res) =
  *  COUNT RECIPIENTS (for plan limits)
  ***************************************************************/
 async function countRecipients(customerId) {
+    // Opted-out recipients stay for history but don't use up a plan slot
     const q = await global.__LT_pool.query(
-        "SELECT COUNT(*) FROM users WHERE customer_id=$1",
+        "SELECT COUNT(*) FROM users WHERE customer_id=$1 AND opted_out_at IS NULL",
         [customerId]
     );
     return Number(q.rows[0].count);
@@ -1513,31 +1942,46 @@ app.post("/api/customer/recipients", global.__LT_authCustomer, async (req, res)
 
         let {
             name,
+            nickname,
             email,
             phone_number,
             delivery_method,
             relationship,
             frequency,
+            delivery_days,
             timings,
-            timezone
+            timezone,
+            quiet_hours_start,
+            quiet_hours_end
         } = req.body;
 
+        if (nickname != null && typeof nickname !== "string")
+            return res.status(400).json({ error: "Nickname must be text" });
+
         // Sanitize all inputs
         name = global.__LT_sanitize(name);
+        nickname = global.__LT_sanitize(nickname?.trim()) || null;
         email = global.__LT_sanitize(email);
         phone_number = global.__LT_sanitize(phone_number);
         delivery_method = global.__LT_sanitize(delivery_method) || "email";
         relationship = global.__LT_sanitize(relationship);
         frequency = global.__LT_sanitize(frequency);
-        timings = global.__LT_sanitize(timings);
+        timings = global.__LT_sanitize(timings) || DEFAULT_TIMING;
         timezone = global.__LT_sanitize(timezone);
+        const rawDeliveryDays = delivery_days;
+        delivery_days = global.__LT_parseDeliveryDays(delivery_days);
+        quiet_hours_start = global.__LT_sanitize(quiet_hours_start) || null;
+        quiet_hours_end = global.__LT_sanitize(quiet_hours_end) || null;
 
         // Validate required fields
         if (!name || !email)
             return res.status(400).json({ error: "Name & email required" });
 
+        if (nickname && nickname.length > RECIPIENT_NICKNAME_MAX_LENGTH)
+            return res.status(400).json({ error: `Nickname must be ${RECIPIENT_NICKNAME_MAX_LENGTH} characters or fewer` });
+
         // Validate delivery method
-        if (!["email", "sms", "both"].includes(delivery_method)) {
+        if (!global.__LT_isDeliveryMethod(delivery_method)) {
             delivery_method = "email";
         }
 
@@ -1546,17 +1990,60 @@ app.post("/api/customer/recipients", global.__LT_authCustomer, async (req, res)
             return res.status(400).json({ error: "Phone number required for SMS delivery" });
         }
 
+        if (phone_number) {
+            phone_number = normalizePhoneNumber(phone_number);
+            if (!phone_number)
+                return res.status(400).json({ error: PHONE_NUMBER_ERROR });
+        }
+
+        if (!VALID_FREQUENCIES.includes(frequency)) {
+            return res.status(400).json({ error: "Invalid frequency" });
+        }
+
+        if (!delivery_days && hasDeliveryDays(rawDeliveryDays)) {
+            return res.status(400).json({ error: "Invalid delivery days" });
+        }
+
+        // Custom schedules need at least one weekday
+        if (frequency === "custom" && !delivery_days) {
+            return res.status(400).json({ error: "Pick at least one delivery day" });
+        }
+
+        // Preset, exact HH:MM or HH:MM-HH:MM window
+        if (!parseTiming(timings)) {
+            return res.status(400).json({ error: "Invalid delivery time" });
+        }
+
+        const quietHoursError = validateQuietHours(quiet_hours_start, quiet_hours_end);
+        if (quietHoursError) {
+            return res.status(400).json({ error: quietHoursError });
+        }
+
+        // People who opted out can't be re-added by anyone
+        const suppressedError = await suppressedAddressError(email, phone_number);
+        if (suppressedError) {
+            return res.status(409).json({ error: suppressedError });
+        }
+
         const unsubscribeToken = crypto.randomBytes(16).toString("hex");
 
+        // Double opt-in: nothing is sent until the recipient accepts
+        const consent = consentFor(null, { email, phone_number }, DOUBLE_OPT_IN);
+        const consentStatus = consent.consent_status;
+        const consentToken = consent.consent_token;
+
         // ✅ FIX: Calculate proper next delivery time
-        const nextDelivery = calculateNextDelivery(frequency, timings, timezone);
+        const nextDelivery = calculateNextDelivery(frequency, timings, timezone, null, delivery_days);
 
-        await global.__LT_pool.query(
+        const inserted = await global.__LT_pool.query(
             `INSERT INTO users 
                 (email, phone_number, delivery_method, customer_id, name, 
                  relationship, frequency, timings, timezone, 
-                 unsubscribe_token, is_active, next_delivery, created_at)
-             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,true,$11,NOW())`,
+                 unsubscribe_token, is_active, next_delivery, created_at,
+                 delivery_days, nickname, consent_status, consent_token,
+                 quiet_hours_start, quiet_hours_end)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,true,$11,NOW(),$12,$13,$14,$15,$16,$17)
+             RETURNING *`,
             [
                 email, 
                 phone_number || null, 
@@ -1568,10 +2055,20 @@ app.post("/api/customer/recipients", global.__LT_authCustomer, async (req, res)
                 timings, 
                 timezone, 
                 unsubscribeToken,
-                nextDelivery  // ✅ Use calculated time instead of NOW()
+                nextDelivery,  // ✅ Use calculated time instead of NOW()
+                delivery_days,
+                nickname,
+                consentStatus,
+                consentToken,
+                quiet_hours_start,
+                quiet_hours_end
             ]
         );
 
+        if (consent.requestConsent) {
+            await sendConsentRequest(inserted.rows[0], customer);
+        }
+
         // Audit log
         await global.__LT_logAuditEvent(
             'account',
@@ -1585,12 +2082,13 @@ app.post("/api/customer/recipients", global.__LT_authCustomer, async (req, res)
                     recipientEmail: email,
                     relationship: relationship,
                     deliveryMethod: delivery_method,
-                    nextDelivery: nextDelivery.toISOString()
+                    nextDelivery: nextDelivery.toISOString(),
+                    consentStatus
                 }
             }
         );
 
-        return res.json({ success: true });
+        return res.json({ success: true, pendingConfirmation: consent.requestConsent });
 
     } catch (err) {
         console.error("ADD RECIPIENT ERROR:", err);
@@ -1656,499 +2154,3388 @@ app.delete("/api/customer/recipients/:id", global.__LT_authCustomer, async (req,
 });
 
 /***************************************************************
- *  CUSTOMER — DELETE OWN ACCOUNT
- *  ✅ RECORDS TRIAL USAGE BEFORE DELETION
- ***************************************************************/
-/***************************************************************
- * 3. CUSTOMER DELETE ACCOUNT - Add audit log
+ *  EDIT RECIPIENT (PARTIAL UPDATE)
+ *  Keeps message history + unsubscribe token, recomputes schedule
  ***************************************************************/
-app.delete("/api/customer/account", global.__LT_authCustomer, async (req, res) => {
-    try {
-        const customerId = req.user.id;
+const RECIPIENT_EDITABLE_FIELDS = [
+    "name",
+    "nickname",
+    "email",
+    "phone_number",
+    "delivery_method",
+    "relationship",
+    "frequency",
+    "delivery_days",
+    "timings",
+    "timezone",
+    "quiet_hours_start",
+    "quiet_hours_end"
+];
 
-        const customerQ = await global.__LT_pool.query(
-            "SELECT email, trial_used, current_plan FROM customers WHERE id=$1",
-            [customerId]
+const RECIPIENT_SCHEDULE_FIELDS = ["frequency", "delivery_days", "timings", "timezone"];
+
+const RECIPIENT_NICKNAME_MAX_LENGTH = 50;
+
+const PHONE_NUMBER_ERROR = "Invalid phone number — include the country code for numbers outside the US";
+
+// delivery_days was filled in (so a null parse means it was invalid, not empty)
+function hasDeliveryDays(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== "";
+}
+
+const VALID_FREQUENCIES = [
+    "daily",
+    "every-other-day",
+    "three-times-week",
+    "weekly",
+    "bi-weekly",
+    "custom"
+];
+
+app.patch("/api/customer/recipients/:id", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const recipientQ = await global.__LT_pool.query(
+            "SELECT * FROM users WHERE id=$1 AND customer_id=$2",
+            [req.params.id, req.user.id]
         );
 
-        if (customerQ.rows.length > 0) {
-            const customer = customerQ.rows[0];
-            
-            if (customer.trial_used === true) {
-                await global.__LT_recordTrialUsage(customer.email, customerId);
+        if (!recipientQ.rows.length)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const before = recipientQ.rows[0];
+
+        // Only touch the fields that were actually sent
+        const updates = {};
+        for (const field of RECIPIENT_EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updates[field] = field === "delivery_days"
+                    ? global.__LT_parseDeliveryDays(req.body[field])
+                    : global.__LT_sanitize(req.body[field]);
             }
+        }
 
-            // ✅ AUDIT LOG - Self deletion
-            await global.__LT_logAuditEvent(
-                'account',
-                'Account Deleted (Self)',
-                `Customer deleted their own account`,
-                {
-                    customerEmail: customer.email,
-                    customerId: customerId,
-                    extra: {
-                        deletedBy: 'customer',
-                        hadPlan: customer.current_plan
-                    }
-                }
+        if (!Object.keys(updates).length)
+            return res.status(400).json({ error: "No changes provided" });
+
+        if (updates.nickname != null && typeof updates.nickname !== "string")
+            return res.status(400).json({ error: "Nickname must be text" });
+
+        if (updates.delivery_days === null && hasDeliveryDays(req.body.delivery_days))
+            return res.status(400).json({ error: "Invalid delivery days" });
+
+        const after = { ...before, ...updates };
+        after.phone_number = after.phone_number || null;
+        after.nickname = after.nickname?.trim() || null;
+        after.delivery_method = after.delivery_method || "email";
+        after.quiet_hours_start = after.quiet_hours_start || null;
+        after.quiet_hours_end = after.quiet_hours_end || null;
+
+        // Validate the merged record the same way the add route does
+        if (!after.name || !after.email)
+            return res.status(400).json({ error: "Name & email required" });
+
+        if (after.nickname && after.nickname.length > RECIPIENT_NICKNAME_MAX_LENGTH)
+            return res.status(400).json({ error: `Nickname must be ${RECIPIENT_NICKNAME_MAX_LENGTH} characters or fewer` });
+
+        if (!global.__LT_isDeliveryMethod(after.delivery_method))
+            return res.status(400).json({ error: "Invalid delivery method" });
+
+        if ((after.delivery_method === "sms" || after.delivery_method === "both") && !after.phone_number)
+            return res.status(400).json({ error: "Phone number required for SMS delivery" });
+
+        if (updates.phone_number !== undefined && after.phone_number) {
+            after.phone_number = normalizePhoneNumber(after.phone_number);
+            if (!after.phone_number)
+                return res.status(400).json({ error: PHONE_NUMBER_ERROR });
+        }
+
+        if (updates.frequency !== undefined && !VALID_FREQUENCIES.includes(after.frequency))
+            return res.status(400).json({ error: "Invalid frequency" });
+
+        if (updates.timezone !== undefined && !moment.tz.zone(after.timezone || ""))
+            return res.status(400).json({ error: "Invalid timezone" });
+
+        if (after.frequency === "custom" && !after.delivery_days)
+            return res.status(400).json({ error: "Pick at least one delivery day" });
+
+        if (updates.timings !== undefined && !parseTiming(after.timings))
+            return res.status(400).json({ error: "Invalid delivery time" });
+
+        const quietHoursError = validateQuietHours(after.quiet_hours_start, after.quiet_hours_end);
+        if (quietHoursError)
+            return res.status(400).json({ error: quietHoursError });
+
+        if (before.opted_out_at)
+            return res.status(409).json({ error: "This recipient unsubscribed and can't be edited" });
+
+        const suppressedError = await suppressedAddressError(
+            after.email !== before.email ? after.email : null,
+            after.phone_number !== before.phone_number ? after.phone_number : null
+        );
+        if (suppressedError)
+            return res.status(409).json({ error: suppressedError });
+
+        // Build before/after diff for the audit log
+        const changes = {};
+        for (const field of RECIPIENT_EDITABLE_FIELDS) {
+            if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+                changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+            }
+        }
+
+        if (!Object.keys(changes).length)
+            return res.json({ success: true, changed: [] });
+
+        // Only reschedule when the schedule itself changed
+        const scheduleChanged = RECIPIENT_SCHEDULE_FIELDS.some(f => changes[f]);
+        const nextDelivery = scheduleChanged
+            ? calculateNextDelivery(
+                after.frequency,
+                after.timings,
+                after.timezone,
+                before.last_sent,
+                after.delivery_days
+            )
+            : before.next_delivery;
+
+        // Whoever owns a new email or number has to accept first
+        const consent = consentFor(before, after, DOUBLE_OPT_IN);
+
+        // $2-$4 are both assigned and compared below, so they're cast
+        // to one type; left bare, Postgres can't settle on one
+        const updated = await global.__LT_pool.query(
+            `UPDATE users
+             SET name=$1, email=$2::varchar, phone_number=$3::varchar, delivery_method=$4::varchar,
+                 relationship=$5, frequency=$6, timings=$7, timezone=$8,
+                 next_delivery=$9, delivery_days=$12, nickname=$13,
+                 deferred_from=CASE WHEN $19::boolean THEN NULL ELSE deferred_from END,
+                 quiet_hours_start=$14, quiet_hours_end=$15,
+                 consent_status=$16, consent_token=$17, consent_confirmed_at=$18,
+                 -- A new address lifts a hard-bounce pause; a new number or
+                 -- moving to email-only lifts an SMS STOP pause
+                 is_active=CASE WHEN (paused_reason='hard_bounce' AND email IS DISTINCT FROM $2::varchar)
+                                  OR (paused_reason='sms_stop' AND (phone_number IS DISTINCT FROM $3::varchar OR $4::varchar='email'))
+                                THEN true ELSE is_active END,
+                 paused_reason=CASE WHEN (paused_reason='hard_bounce' AND email IS DISTINCT FROM $2::varchar)
+                                      OR (paused_reason='sms_stop' AND (phone_number IS DISTINCT FROM $3::varchar OR $4::varchar='email'))
+                                    THEN NULL ELSE paused_reason END,
+                 -- ...and a new phone number lifts an SMS flag
+                 sms_flagged_reason=CASE WHEN phone_number IS DISTINCT FROM $3::varchar
+                                         THEN NULL ELSE sms_flagged_reason END,
+                 sms_failure_count=CASE WHEN phone_number IS DISTINCT FROM $3::varchar
+                                        THEN 0 ELSE sms_failure_count END
+             WHERE id=$10 AND customer_id=$11
+             RETURNING id, email, phone_number, delivery_method, name, nickname, relationship,
+                       frequency, delivery_days, timings, timezone, next_delivery,
+                       last_sent, is_active, paused_reason, sms_flagged_reason,
+                       quiet_hours_start, quiet_hours_end, consent_status`,
+            [
+                after.name,
+                after.email,
+                after.phone_number,
+                after.delivery_method,
+                after.relationship,
+                after.frequency,
+                after.timings,
+                after.timezone,
+                nextDelivery,
+                before.id,
+                req.user.id,
+                after.delivery_days,
+                after.nickname,
+                after.quiet_hours_start,
+                after.quiet_hours_end,
+                consent.consent_status,
+                consent.consent_token,
+                consent.consent_confirmed_at,
+                scheduleChanged
+            ]
+        );
+
+        if (consent.requestConsent) {
+            const customerQ = await global.__LT_pool.query(
+                "SELECT id, name, email FROM customers WHERE id=$1",
+                [req.user.id]
+            );
+
+            await sendConsentRequest(
+                { ...before, ...updated.rows[0], consent_token: consent.consent_token },
+                customerQ.rows[0]
             );
         }
 
-        await global.__LT_pool.query("DELETE FROM users WHERE customer_id=$1", [customerId]);
-        await global.__LT_pool.query("DELETE FROM customers WHERE id=$1", [customerId]);
+        // Audit log
+        await global.__LT_logAuditEvent(
+            'account',
+            'Recipient Updated',
+            `Recipient updated: ${after.name}`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: {
+                    recipientId: before.id,
+                    changes,
+                    rescheduled: scheduleChanged,
+                    nextDelivery: new Date(nextDelivery).toISOString(),
+                    consentStatus: consent.consent_status
+                }
+            }
+        );
 
-        res.clearCookie("customer_token", {
-            httpOnly: true,
-            secure: true,
-            sameSite: "none",
-            path: "/"
+        return res.json({
+            success: true,
+            changed: Object.keys(changes),
+            pendingConfirmation: consent.requestConsent,
+            recipient: updated.rows[0]
         });
 
-        return res.json({ success: true });
-
     } catch (err) {
-        console.error("CUSTOMER DELETE ACCOUNT ERROR:", err);
-        return res.status(500).json({ error: "Server error deleting account" });
+        console.error("EDIT RECIPIENT ERROR:", err);
+        return res.status(500).json({ error: "Server error updating recipient" });
     }
 });
 
 /***************************************************************
- *  MESSAGE LOG — last 5 messages
+ *  RECIPIENT CONSENT — DOUBLE OPT-IN
+ *  With RECIPIENT_DOUBLE_OPT_IN=true a new recipient starts as
+ *  consent_status 'pending' and gets a confirmation email/SMS
+ *  linking to confirm.html. Nothing is sent to a pending
+ *  recipient (sendOnChannel skips them) until they accept.
+ *  Changing a recipient's email or phone number asks again.
+ *  Recipients added while the mode is off are 'not_required'.
  ***************************************************************/
-app.get("/api/message-log/:recipientId", global.__LT_authCustomer, async (req, res) => {
-    try {
-        const rid = req.params.recipientId;
+const DOUBLE_OPT_IN = process.env.RECIPIENT_DOUBLE_OPT_IN === "true";
+const CONSENT_RESEND_COOLDOWN_MS = 10 * 60 * 1000;
 
-        const logs = await global.__LT_pool.query(
-            `SELECT message AS message_text, sent_at
-             FROM message_logs
-             WHERE customer_id=$1 AND recipient_id=$2
-             ORDER BY sent_at DESC
-             LIMIT 5`,
-            [req.user.id, rid]
-        );
+function consentURLFor(recipient) {
+    return `${process.env.BASE_URL}/confirm.html?token=${recipient.consent_token}`;
+}
 
-        return res.json({ success: true, messages: logs.rows });
+async function sendConsentRequest(recipient, customer) {
+    const senderName = customer.name || "Someone who cares about you";
+    const confirmURL = consentURLFor(recipient);
+    const results = [];
 
-    } catch (err) {
-        console.error("MESSAGE LOG ERROR:", err);
-        return res.status(500).json({ error: "Error fetching message logs" });
+    if (recipient.email) {
+        const html = `
+            <div style="font-family:Arial;padding:20px;max-width:600px;margin:auto;">
+                <h2 style="color:#d6336c;">${escapeHtml(senderName)} wants to send you love notes 💌</h2>
+                <p>Hi ${escapeHtml(recipient.name)},</p>
+                <p>
+                    ${escapeHtml(senderName)} would like to send you messages through LoveTextForHer.
+                    You won't receive anything until you say yes.
+                </p>
+                <p style="text-align:center;margin:30px 0;">
+                    <a href="${confirmURL}"
+                       style="background:#d6336c;color:white;padding:14px 28px;border-radius:8px;text-decoration:none;font-weight:bold;">
+                        Yes, I'd love that
+                    </a>
+                </p>
+                <p style="color:#999;font-size:12px;">
+                    Not interested? <a href="${unsubscribeURLFor(recipient)}" style="color:#999;">Don't contact me again</a>.
+                </p>
+            </div>
+        `;
+
+        results.push(await sendEmailDetailed(
+            recipient.email,
+            `${senderName} wants to send you love notes 💌`,
+            html,
+            `${senderName} would like to send you messages through LoveTextForHer. Accept: ${confirmURL}`
+        ));
     }
-});
+
+    if (recipient.phone_number && channelsFor(recipient).includes("sms")) {
+        results.push(await sendSMSDetailed(
+            recipient.phone_number,
+            `LoveTextForHer: ${senderName} would like to send you love messages. ` +
+            `Accept here: ${confirmURL}\n\nReply STOP to opt out`
+        ));
+    }
+
+    await global.__LT_pool.query(
+        "UPDATE users SET consent_requested_at=NOW() WHERE id=$1",
+        [recipient.id]
+    );
+
+    return { ok: results.some(r => r.ok) };
+}
 
 /***************************************************************
- *  UPDATED SEND FLOWERS ENDPOINT
- *  - Plus plan only
- *  - Maximum 2 flowers per recipient per day
- *  Replace your existing /api/customer/send-flowers/:id endpoint
+ *  RESEND CONFIRMATION REQUEST (customer)
  ***************************************************************/
-
-app.post("/api/customer/send-flowers/:id", 
-    global.__LT_authCustomer, 
-    async (req, res) => {
+app.post("/api/customer/recipients/:id/resend-confirmation", global.__LT_authCustomer, async (req, res) => {
     try {
-        const rid = req.params.id;
-        const { note } = req.body;
+        const q = await global.__LT_pool.query(
+            "SELECT * FROM users WHERE id=$1 AND customer_id=$2",
+            [req.params.id, req.user.id]
+        );
+
+        if (!q.rows.length)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const recipient = q.rows[0];
+
+        if (recipient.consent_status !== "pending")
+            return res.status(400).json({ error: "This recipient doesn't need to confirm" });
+
+        const lastRequested = recipient.consent_requested_at
+            ? new Date(recipient.consent_requested_at).getTime()
+            : 0;
+
+        if (Date.now() - lastRequested < CONSENT_RESEND_COOLDOWN_MS)
+            return res.status(429).json({ error: "Please wait a few minutes before resending" });
 
-        // ✅ CHECK 1: Get customer plan
         const customerQ = await global.__LT_pool.query(
-            "SELECT current_plan, has_subscription, subscription_end FROM customers WHERE id=$1",
+            "SELECT id, name, email FROM customers WHERE id=$1",
             [req.user.id]
         );
 
-        if (!customerQ.rows.length) {
-            return res.status(404).json({ error: "Customer not found" });
-        }
+        const sent = await sendConsentRequest(recipient, customerQ.rows[0]);
 
-        const customer = customerQ.rows[0];
+        if (!sent.ok)
+            return res.status(502).json({ error: "Couldn't send the confirmation request" });
 
-        // ✅ CHECK 2: Verify Plus plan
-        if (customer.current_plan !== "plus") {
-            return res.status(403).json({ 
-                error: "Send Flowers is a Plus plan feature. Upgrade to access this feature.",
-                requiresPlan: "plus"
-            });
-        }
+        return res.json({ success: true });
 
-        // ✅ CHECK 3: Verify active subscription
-        const now = new Date();
-        const isActive = customer.has_subscription || 
-                        (customer.subscription_end && new Date(customer.subscription_end) > now);
-        
-        if (!isActive) {
-            return res.status(403).json({ 
-                error: "Your subscription is not active. Please renew to send flowers." 
-            });
-        }
+    } catch (err) {
+        console.error("RESEND CONFIRMATION ERROR:", err);
+        return res.status(500).json({ error: "Server error resending confirmation" });
+    }
+});
 
-        // ✅ CHECK 4: Get recipient
+/***************************************************************
+ *  PUBLIC — LOOK UP / ACCEPT A CONFIRMATION REQUEST
+ *  Accepting is a POST from confirm.html so link scanners that
+ *  prefetch the email link can't confirm on the recipient's behalf.
+ ***************************************************************/
+app.get("/api/recipient/confirm/:token", async (req, res) => {
+    try {
         const q = await global.__LT_pool.query(
-            "SELECT * FROM users WHERE id=$1 AND customer_id=$2",
-            [rid, req.user.id]
+            `SELECT u.name, u.consent_status, u.opted_out_at, c.name AS sender_name
+             FROM users u
+             JOIN customers c ON u.customer_id = c.id
+             WHERE u.consent_token=$1`,
+            [req.params.token]
         );
 
-        if (!q.rows.length) {
-            return res.status(404).json({ error: "Recipient not found" });
-        }
+        if (!q.rows.length)
+            return res.status(404).json({ error: "Invalid or expired confirmation link" });
 
         const r = q.rows[0];
 
-        // ✅ CHECK 5: Count flowers sent today to this recipient
-        const todayStart = new Date();
-        todayStart.setHours(0, 0, 0, 0);
+        return res.json({
+            name: r.name,
+            senderName: r.sender_name,
+            status: r.opted_out_at ? "opted_out" : r.consent_status
+        });
 
-        const flowerCountQ = await global.__LT_pool.query(
-            `SELECT COUNT(*) FROM message_logs
-             WHERE customer_id = $1 
-             AND recipient_id = $2
-             AND message LIKE '🌸 A flower for you!%'
-             AND sent_at >= $3`,
-            [req.user.id, rid, todayStart]
-        );
+    } catch (err) {
+        console.error("CONSENT LOOKUP ERROR:", err);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
 
-        const flowersSentToday = Number(flowerCountQ.rows[0].count);
+app.post("/api/recipient/confirm/:token", async (req, res) => {
+    try {
+        const q = await global.__LT_pool.query(
+            "SELECT * FROM users WHERE consent_token=$1",
+            [req.params.token]
+        );
 
-        if (flowersSentToday >= 2) {
-            return res.status(429).json({ 
-                error: "You've reached the daily limit of 2 flowers per recipient. Try again tomorrow!",
-                limit: 2,
-                sent: flowersSentToday
-            });
-        }
+        if (!q.rows.length)
+            return res.status(404).json({ error: "Invalid or expired confirmation link" });
 
-        // ✅ ALL CHECKS PASSED - SEND FLOWER
-        const message = `🌸 A flower for you!` +
-            (note?.trim() ? ` — ${global.__LT_sanitize(note.trim())}` : "");
+        const r = q.rows[0];
 
-        // SEND EMAIL (if delivery method includes email)
-        if (!r.delivery_method || r.delivery_method === "email" || r.delivery_method === "both") {
-            const unsubscribeURL = 
-                `${process.env.BASE_URL}/unsubscribe.html?token=${r.unsubscribe_token}`;
-            
-            const html = global.__LT_buildLoveEmailHTML(r.name, message, unsubscribeURL);
+        if (r.opted_out_at)
+            return res.status(409).json({ error: "You've unsubscribed from these messages" });
 
-            await global.__LT_sendEmail(
-                r.email,
-                "You received a flower 🌸",
-                html,
-                message + "\n\nUnsubscribe: " + unsubscribeURL
-            );
-            
-            console.log(`💌 Flower email sent to ${r.email}`);
-        }
+        if (r.consent_status === "confirmed")
+            return res.json({ success: true, alreadyConfirmed: true });
 
-        // SEND SMS (if delivery method includes SMS and phone exists)
-        if ((r.delivery_method === "sms" || r.delivery_method === "both") && r.phone_number) {
-            const smsMessage = `${message}\n\nReply STOP to unsubscribe`;
-            await global.__LT_sendSMS(r.phone_number, smsMessage);
-            console.log(`📱 Flower SMS sent to ${r.phone_number}`);
-        }
+        // Schedule from now — next_delivery went stale while pending
+        const nextDelivery = calculateNextDelivery(
+            r.frequency,
+            r.timings,
+            r.timezone,
+            null,
+            r.delivery_days
+        );
 
-        // Log the flower message
         await global.__LT_pool.query(
-            `INSERT INTO message_logs (customer_id, recipient_id, email, message)
-             VALUES ($1, $2, $3, $4)`,
-            [req.user.id, rid, r.email, message]
+            `UPDATE users
+             SET consent_status='confirmed', consent_confirmed_at=NOW(), next_delivery=$2, deferred_from=NULL
+             WHERE id=$1`,
+            [r.id, nextDelivery]
         );
 
-        return res.json({ 
-            success: true,
-            flowersSentToday: flowersSentToday + 1,
-            remainingToday: 2 - (flowersSentToday + 1)
-        });
+        const ipAddress = req.headers['x-forwarded-for']?.split(',')[0].trim() || 
+                         req.connection.remoteAddress || 'unknown';
+
+        await global.__LT_logAuditEvent(
+            'account',
+            'Recipient Confirmed',
+            `${r.name} accepted messages`,
+            {
+                customerId: r.customer_id,
+                ipAddress: ipAddress,
+                extra: { recipientId: r.id }
+            }
+        );
+
+        return res.json({ success: true });
 
     } catch (err) {
-        console.error("❌ FLOWER SEND ERROR:", err);
-        return res.status(500).json({ error: "Error sending flower." });
+        console.error("CONSENT CONFIRM ERROR:", err);
+        return res.status(500).json({ error: "Server error confirming" });
     }
 });
 
 /***************************************************************
- *  OPTIONAL: GET FLOWER STATUS FOR A RECIPIENT
- *  Shows how many flowers have been sent today
+ *  PAUSE / RESUME RECIPIENT (customer)
+ *  An optional resumeOn date (recipient's local midnight) is
+ *  picked up by the scheduler's resumeExpiredPauses; resuming
+ *  always reschedules from now so missed slots aren't sent.
  ***************************************************************/
-app.get("/api/customer/flower-status/:id",
-    global.__LT_authCustomer,
-    async (req, res) => {
-    try {
-        const rid = req.params.id;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-        // Check customer plan
-        const customerQ = await global.__LT_pool.query(
-            "SELECT current_plan FROM customers WHERE id=$1",
-            [req.user.id]
+app.post("/api/customer/recipients/:id/pause", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const q = await global.__LT_pool.query(
+            "SELECT * FROM users WHERE id=$1 AND customer_id=$2",
+            [req.params.id, req.user.id]
         );
 
-        if (!customerQ.rows.length) {
-            return res.status(404).json({ error: "Customer not found" });
-        }
+        if (!q.rows.length)
+            return res.status(404).json({ error: "Recipient not found" });
 
-        const isPlusUser = customerQ.rows[0].current_plan === "plus";
+        const r = q.rows[0];
 
-        // Count flowers sent today
-        const todayStart = new Date();
-        todayStart.setHours(0, 0, 0, 0);
+        if (!r.is_active)
+            return res.status(409).json({ error: "This recipient is already paused" });
 
-        const flowerCountQ = await global.__LT_pool.query(
-            `SELECT COUNT(*) FROM message_logs
-             WHERE customer_id = $1 
-             AND recipient_id = $2
-             AND message LIKE '🌸 A flower for you!%'
-             AND sent_at >= $3`,
-            [req.user.id, rid, todayStart]
+        let pausedUntil = null;
+
+        if (req.body.resumeOn) {
+            const tz = r.timezone && moment.tz.zone(r.timezone) ? r.timezone : DEFAULT_TIMEZONE;
+            const resumeOn = DATE_PATTERN.test(req.body.resumeOn)
+                ? moment.tz(req.body.resumeOn, "YYYY-MM-DD", true, tz)
+                : null;
+
+            if (!resumeOn?.isValid() || !resumeOn.isAfter(moment()))
+                return res.status(400).json({ error: "Resume date must be a future date" });
+
+            pausedUntil = resumeOn.toDate();
+        }
+
+        await global.__LT_pool.query(
+            `UPDATE users
+             SET is_active=false, paused_reason='customer_pause', paused_at=NOW(), paused_until=$2
+             WHERE id=$1`,
+            [r.id, pausedUntil]
         );
 
-        const flowersSentToday = Number(flowerCountQ.rows[0].count);
+        await global.__LT_logAuditEvent(
+            'account',
+            'Recipient Paused',
+            pausedUntil
+                ? `Paused ${r.name} until ${req.body.resumeOn}`
+                : `Paused ${r.name}`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: { recipientId: r.id, resumeOn: req.body.resumeOn || null }
+            }
+        );
 
-        return res.json({
-            isPlusUser,
-            flowersSentToday,
-            remainingToday: Math.max(0, 2 - flowersSentToday),
-            dailyLimit: 2,
-            canSendFlower: isPlusUser && flowersSentToday < 2
-        });
+        return res.json({ success: true, pausedUntil });
 
     } catch (err) {
-        console.error("❌ FLOWER STATUS ERROR:", err);
-        return res.status(500).json({ error: "Error checking flower status" });
+        console.error("PAUSE RECIPIENT ERROR:", err);
+        return res.status(500).json({ error: "Server error pausing recipient" });
     }
 });
 
-/***************************************************************
- *  PUBLIC UNSUBSCRIBE LINK
- ***************************************************************/
-app.get("/api/unsubscribe/:token", async (req, res) => {
+app.post("/api/customer/recipients/:id/resume", global.__LT_authCustomer, async (req, res) => {
     try {
-        const token = req.params.token;
-
         const q = await global.__LT_pool.query(
-            "SELECT id, name FROM users WHERE unsubscribe_token=$1",
-            [token]
+            "SELECT * FROM users WHERE id=$1 AND customer_id=$2",
+            [req.params.id, req.user.id]
         );
 
         if (!q.rows.length)
-            return res.status(404).send("Invalid unsubscribe token.");
+            return res.status(404).json({ error: "Recipient not found" });
 
-        const recipientName = q.rows[0].name;
+        const r = q.rows[0];
 
-        // DELETE the recipient instead of just deactivating
-        await global.__LT_pool.query(
-            "DELETE FROM users WHERE id=$1",
-            [q.rows[0].id]
-        );
+        if (r.is_active)
+            return res.status(409).json({ error: "This recipient isn't paused" });
 
-        console.log(`🗑️  Recipient unsubscribed and deleted: ${recipientName}`);
+        // Opt-outs, bounces and the recipient's own pauses aren't the customer's to lift
+        if (r.paused_reason !== "customer_pause")
+            return res.status(409).json({ error: "This recipient paused or unsubscribed themselves and can't be resumed" });
 
-        return res.send(`
-            <h2 style="font-family:Arial">You've been unsubscribed ❤️</h2>
-            <p style="font-family:Arial">You will no longer receive love messages.</p>
-            <p style="font-family:Arial;color:#999;font-size:14px;">Your information has been removed from our system.</p>
-        `);
+        await resumeRecipient(r);
+
+        await global.__LT_logAuditEvent(
+            'account',
+            'Recipient Resumed',
+            `Resumed ${r.name}`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: { recipientId: r.id, pausedSince: r.paused_at }
+            }
+        );
+
+        return res.json({ success: true });
 
     } catch (err) {
-        console.error("UNSUBSCRIBE ERROR:", err);
-        return res.status(500).send("Error completing unsubscribe");
+        console.error("RESUME RECIPIENT ERROR:", err);
+        return res.status(500).json({ error: "Server error resuming recipient" });
     }
 });
 
 /***************************************************************
- *  ADMIN — GET ALL RECIPIENTS
+ *  VACATION MODE (customer)
+ *  Pauses every recipient between two dates (inclusive, in each
+ *  recipient's timezone). The scheduler pushes any slot that
+ *  falls inside to the first delivery after the vacation.
  ***************************************************************/
-app.get("/api/admin/recipients", global.__LT_authAdmin, async (req, res) => {
+const VACATION_MAX_DAYS = 365;
+
+async function loadVacation(customerId) {
+    const q = await global.__LT_pool.query(
+        `SELECT to_char(vacation_start, 'YYYY-MM-DD') AS start,
+                to_char(vacation_end, 'YYYY-MM-DD') AS end
+         FROM customers WHERE id=$1`,
+        [customerId]
+    );
+    return q.rows[0]?.start ? q.rows[0] : { start: null, end: null };
+}
+
+// Slots were pushed past the old vacation — bring them back to "from now"
+async function rescheduleAfterVacationChange(customerId, previous) {
+    if (!previous.start) return;
+
+    const q = await global.__LT_pool.query(
+        "SELECT * FROM users WHERE customer_id=$1 AND is_active=true",
+        [customerId]
+    );
+
+    for (const r of q.rows) {
+        // Vacation days are the recipient's local dates, as in vacationEndsAt
+        const tz = r.timezone && moment.tz.zone(r.timezone) ? r.timezone : DEFAULT_TIMEZONE;
+        const today = moment.tz(tz).format("YYYY-MM-DD");
+        if (today < previous.start || today > previous.end) continue;
+
+        const next = calculateNextDelivery(r.frequency, r.timings, r.timezone, null, r.delivery_days);
+        await global.__LT_pool.query(
+            "UPDATE users SET next_delivery=$2, deferred_from=NULL WHERE id=$1",
+            [r.id, next]
+        );
+    }
+}
+
+app.get("/api/customer/vacation", global.__LT_authCustomer, async (req, res) => {
     try {
-        const q = await global.__LT_pool.query(
-            `SELECT 
-                id, customer_id, email, name, relationship, frequency,
-                timings, timezone, next_delivery, last_sent, is_active
-             FROM users
-             ORDER BY id DESC`
+        return res.json(await loadVacation(req.user.id));
+
+    } catch (err) {
+        console.error("VACATION LOAD ERROR:", err);
+        return res.status(500).json({ error: "Server error loading vacation mode" });
+    }
+});
+
+app.put("/api/customer/vacation", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const { start, end } = req.body;
+        const startDay = DATE_PATTERN.test(start || "") ? moment.utc(start, "YYYY-MM-DD", true) : null;
+        const endDay = DATE_PATTERN.test(end || "") ? moment.utc(end, "YYYY-MM-DD", true) : null;
+
+        if (!startDay?.isValid() || !endDay?.isValid())
+            return res.status(400).json({ error: "Pick a start and end date" });
+
+        if (endDay.isBefore(startDay))
+            return res.status(400).json({ error: "Vacation can't end before it starts" });
+
+        // "Today" on the customer's own calendar
+        const today = moment.tz(await customerTimezone(req.user.id)).format("YYYY-MM-DD");
+        if (end < today)
+            return res.status(400).json({ error: "Vacation end date is in the past" });
+
+        if (endDay.diff(startDay, "days") > VACATION_MAX_DAYS)
+            return res.status(400).json({ error: `Vacation can be at most ${VACATION_MAX_DAYS} days` });
+
+        const previous = await loadVacation(req.user.id);
+
+        await global.__LT_pool.query(
+            "UPDATE customers SET vacation_start=$2, vacation_end=$3 WHERE id=$1",
+            [req.user.id, start, end]
         );
 
-        return res.json(q.rows);
+        await rescheduleAfterVacationChange(req.user.id, previous);
+
+        await global.__LT_logAuditEvent(
+            'account',
+            'Vacation Mode Set',
+            `Vacation mode ${start} → ${end}`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: { start, end, previous }
+            }
+        );
+
+        return res.json({ success: true, start, end });
 
     } catch (err) {
-        console.error("ADMIN RECIPIENTS ERROR:", err);
-        return res.status(500).json({ error: "Server error loading recipients" });
+        console.error("VACATION SAVE ERROR:", err);
+        return res.status(500).json({ error: "Server error saving vacation mode" });
     }
 });
 
-/***************************************************************
- *  ADMIN — DELETE RECIPIENT
- ***************************************************************/
-app.delete("/api/admin/recipients/:id", global.__LT_authAdmin, async (req, res) => {
+app.delete("/api/customer/vacation", global.__LT_authCustomer, async (req, res) => {
     try {
+        const previous = await loadVacation(req.user.id);
+
         await global.__LT_pool.query(
-            "DELETE FROM users WHERE id=$1",
-            [req.params.id]
+            "UPDATE customers SET vacation_start=NULL, vacation_end=NULL WHERE id=$1",
+            [req.user.id]
+        );
+
+        await rescheduleAfterVacationChange(req.user.id, previous);
+
+        await global.__LT_logAuditEvent(
+            'account',
+            'Vacation Mode Cleared',
+            'Vacation mode turned off',
+            { customerEmail: req.user.email, customerId: req.user.id }
         );
 
         return res.json({ success: true });
 
     } catch (err) {
-        console.error("ADMIN DELETE ERROR:", err);
-        return res.status(500).json({ error: "Server error deleting recipient" });
+        console.error("VACATION CLEAR ERROR:", err);
+        return res.status(500).json({ error: "Server error clearing vacation mode" });
     }
 });
 
 /***************************************************************
- *  ADMIN "SEND NOW" - ALSO FIXED FOR SMS (Part 5)
- *  Replace your existing /api/admin/send-now/:id endpoint
+ *  UPCOMING DELIVERIES & CALENDAR (customer)
+ *  projectDeliveries replays the scheduler — calculateNextDelivery
+ *  anchored on each projected send, vacation skips and quiet-hour
+ *  deferrals — in the recipient's timezone. Surprise-window
+ *  timings pick a random minute, so those times are approximate.
  ***************************************************************/
-app.post("/api/admin/send-now/:id", 
+const UPCOMING_DEFAULT_COUNT = 5;
+const UPCOMING_MAX_COUNT = 20;
+const CALENDAR_MAX_PER_RECIPIENT = 62;
+const CALENDAR_MAX_MONTHS_AHEAD = 24;
+
+// `from` only returns (and counts) slots at or after it; the ones
+// before are still walked so far-off months keep the cadence
+function projectDeliveries(r, { count = UPCOMING_DEFAULT_COUNT, from = null, until = null, now = new Date() } = {}) {
+    const slots = [];
+
+    // Opted out, bounced, STOP'd or paused with no end date: nothing is coming
+    if (!r.is_active && !r.paused_until) return slots;
+    if (r.consent_status === "pending") return slots;
+
+    const window = parseTiming(r.timings);
+    const approximate = Boolean(window && window.end !== window.start);
+
+    let slot = r.is_active && r.next_delivery
+        ? new Date(Math.max(new Date(r.next_delivery).getTime(), now.getTime()))
+        : calculateNextDelivery(r.frequency, r.timings, r.timezone, null, r.delivery_days,
+            r.is_active ? now : new Date(r.paused_until));
+
+    // Already pushed by quiet hours — anchor on the original slot
+    let anchor = r.is_active && r.deferred_from ? new Date(r.deferred_from) : null;
+
+    // Guard against schedules that never advance; no schedule
+    // sends more than once a day, so skipping to `from` needs at
+    // most one step per day in between
+    const skipSteps = from ? Math.max(0, moment(from).diff(now, "days") + 1) : 0;
+
+    for (let i = 0; slots.length < count && i < count * 4 + 10 + skipSteps; i++) {
+        if (until && slot > until) break;
+
+        const vacationEnd = vacationEndsAt(r, slot);
+        if (vacationEnd) {
+            slot = calculateNextDelivery(r.frequency, r.timings, r.timezone, null, r.delivery_days, vacationEnd);
+            continue;
+        }
+
+        const deferred = deferUntil(r, slot);
+        const at = deferred || slot;
+
+        if (until && at > until) break;
+
+        // Same anchoring as claimDueRecipients: the slot, sent at `at`
+        if (!from || at >= from) slots.push({ at, approximate, deferred: Boolean(deferred || anchor) });
+        slot = calculateNextDelivery(r.frequency, r.timings, r.timezone, anchor || slot, r.delivery_days, at);
+        anchor = null;
+    }
+
+    return slots;
+}
+
+async function loadProjectableRecipients(customerId) {
+    const q = await global.__LT_pool.query(
+        `SELECT u.*,
+                to_char(c.vacation_start, 'YYYY-MM-DD') AS vacation_start,
+                to_char(c.vacation_end, 'YYYY-MM-DD') AS vacation_end
+         FROM users u
+         JOIN customers c ON u.customer_id = c.id
+         WHERE u.customer_id=$1
+         ORDER BY u.id`,
+        [customerId]
+    );
+    return q.rows;
+}
+
+app.get("/api/customer/upcoming", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const count = Math.min(
+            Math.max(parseInt(req.query.count, 10) || UPCOMING_DEFAULT_COUNT, 1),
+            UPCOMING_MAX_COUNT
+        );
+
+        await loadSmsWindow();
+        const recipients = await loadProjectableRecipients(req.user.id);
+
+        return res.json(recipients.map(r => ({
+            recipientId: r.id,
+            name: r.name,
+            timezone: r.timezone,
+            deliveries: projectDeliveries(r, { count })
+        })));
+
+    } catch (err) {
+        console.error("UPCOMING DELIVERIES ERROR:", err);
+        return res.status(500).json({ error: "Server error projecting deliveries" });
+    }
+});
+
+/**
+ * Sent messages and projected deliveries for one month (UTC
+ * bounds, ?month=YYYY-MM), plus any special dates in it.
+ */
+app.get("/api/customer/calendar", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const month = /^\d{4}-\d{2}$/.test(req.query.month || "")
+            ? moment.utc(req.query.month, "YYYY-MM", true)
+            : moment.utc().startOf("month");
+
+        if (!month.isValid())
+            return res.status(400).json({ error: "Invalid month" });
+
+        if (month.diff(moment.utc().startOf("month"), "months") > CALENDAR_MAX_MONTHS_AHEAD)
+            return res.status(400).json({ error: `The calendar goes up to ${CALENDAR_MAX_MONTHS_AHEAD} months ahead` });
+
+        const from = month.clone().startOf("month").toDate();
+        const to = month.clone().endOf("month").toDate();
+        const now = new Date();
+
+        // One entry per send, however many channels it went out on
+        const pastQ = await global.__LT_pool.query(
+            `SELECT recipient_id, sent_at, MIN(message) AS message,
+                    array_agg(channel ORDER BY channel) AS channels,
+                    bool_or(status IN ('sent', 'delivered')) AS delivered,
+                    bool_or(status = 'queued') AS queued
+             FROM message_logs
+             WHERE customer_id=$1 AND sent_at BETWEEN $2 AND $3
+             GROUP BY recipient_id, sent_at
+             ORDER BY sent_at`,
+            [req.user.id, from, to]
+        );
+
+        await loadSmsWindow();
+        const recipients = await loadProjectableRecipients(req.user.id);
+
+        const upcoming = [];
+        if (to > now) {
+            for (const r of recipients) {
+                for (const slot of projectDeliveries(r, { count: CALENDAR_MAX_PER_RECIPIENT, from, until: to, now })) {
+                    upcoming.push({ recipientId: r.id, ...slot });
+                }
+            }
+            upcoming.sort((a, b) => a.at - b.at);
+        }
+
+        const datesQ = await global.__LT_pool.query(
+            "SELECT * FROM recipient_special_dates WHERE customer_id=$1",
+            [req.user.id]
+        );
+
+        const specialDates = [];
+        for (const d of datesQ.rows) {
+            const r = recipients.find(x => x.id === d.recipient_id);
+            const tz = r?.timezone && moment.tz.zone(r.timezone) ? r.timezone : DEFAULT_TIMEZONE;
+            const date = specialDateInYear(d, month.year(), tz);
+
+            if (date && date.month() === month.month()) {
+                specialDates.push({
+                    recipientId: d.recipient_id,
+                    kind: d.kind,
+                    label: specialDateLabel(d),
+                    date: date.format("YYYY-MM-DD")
+                });
+            }
+        }
+
+        return res.json({
+            month: month.format("YYYY-MM"),
+            recipients: recipients.map(r => ({ id: r.id, name: r.name })),
+            past: pastQ.rows.map(p => ({
+                recipientId: p.recipient_id,
+                at: p.sent_at,
+                message: p.message,
+                channels: p.channels.filter(Boolean),
+                status: p.delivered ? "sent" : (p.queued ? "queued" : "failed")
+            })),
+            upcoming,
+            specialDates
+        });
+
+    } catch (err) {
+        console.error("CALENDAR ERROR:", err);
+        return res.status(500).json({ error: "Server error loading calendar" });
+    }
+});
+
+/***************************************************************
+ *  RECIPIENT SPECIAL DATES — list / add / delete
+ ***************************************************************/
+app.get("/api/customer/recipients/:id/dates", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const recipientQ = await global.__LT_pool.query(
+            "SELECT id, timezone FROM users WHERE id=$1 AND customer_id=$2",
+            [req.params.id, req.user.id]
+        );
+
+        if (!recipientQ.rows.length)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const recipient = recipientQ.rows[0];
+
+        const q = await global.__LT_pool.query(
+            `SELECT id, kind, label, month, day, year, holiday_key, last_sent_year
+             FROM recipient_special_dates
+             WHERE recipient_id=$1 AND customer_id=$2
+             ORDER BY id`,
+            [recipient.id, req.user.id]
+        );
+
+        const dates = q.rows.map(d => ({
+            ...d,
+            label: specialDateLabel(d),
+            next: nextSpecialDate(d, recipient.timezone)
+        }));
+
+        return res.json({
+            success: true,
+            dates,
+            holidays: Object.entries(HOLIDAYS).map(([key, h]) => ({ key, label: h.label }))
+        });
+
+    } catch (err) {
+        console.error("SPECIAL DATES LIST ERROR:", err);
+        return res.status(500).json({ error: "Server error loading special dates" });
+    }
+});
+
+app.post("/api/customer/recipients/:id/dates", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const recipientQ = await global.__LT_pool.query(
+            "SELECT id, name FROM users WHERE id=$1 AND customer_id=$2",
+            [req.params.id, req.user.id]
+        );
+
+        if (!recipientQ.rows.length)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const recipient = recipientQ.rows[0];
+
+        let { kind, label, month, day, year, holiday_key } = req.body;
+        kind = global.__LT_sanitize(kind);
+        label = typeof label === "string" ? sanitizeCustomMessage(label) || null : null;
+        holiday_key = global.__LT_sanitize(holiday_key) || null;
+        month = month ? Number(month) : null;
+        day = day ? Number(day) : null;
+        year = year ? Number(year) : null;
+
+        if (!SPECIAL_DATE_KINDS.includes(kind))
+            return res.status(400).json({ error: "Invalid date type" });
+
+        if (kind === "holiday") {
+            if (!HOLIDAYS[holiday_key])
+                return res.status(400).json({ error: "Unknown holiday" });
+            month = day = year = null;
+        } else {
+            holiday_key = null;
+
+            // Validate against a leap year so Feb 29 is accepted
+            if (!Number.isInteger(month) || !Number.isInteger(day) ||
+                !moment.utc({ year: 2024, month: month - 1, date: day }).isValid())
+                return res.status(400).json({ error: "Invalid date" });
+
+            if (year !== null && (!Number.isInteger(year) || year < 1900 || year > new Date().getFullYear()))
+                return res.status(400).json({ error: "Invalid year" });
+        }
+
+        if (label && label.length > 100)
+            return res.status(400).json({ error: "Label is too long" });
+
+        const inserted = await global.__LT_pool.query(
+            `INSERT INTO recipient_special_dates
+                (recipient_id, customer_id, kind, label, month, day, year, holiday_key)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+             RETURNING id, kind, label, month, day, year, holiday_key, last_sent_year`,
+            [recipient.id, req.user.id, kind, label, month, day, year, holiday_key]
+        );
+
+        const date = inserted.rows[0];
+
+        await global.__LT_logAuditEvent(
+            'account',
+            'Special Date Added',
+            `${specialDateLabel(date)} added for ${recipient.name}`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: { recipientId: recipient.id, specialDateId: date.id, kind }
+            }
+        );
+
+        return res.json({ success: true, date: { ...date, label: specialDateLabel(date) } });
+
+    } catch (err) {
+        console.error("SPECIAL DATE ADD ERROR:", err);
+        return res.status(500).json({ error: "Server error adding special date" });
+    }
+});
+
+app.delete("/api/customer/recipients/:id/dates/:dateId", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const result = await global.__LT_pool.query(
+            `DELETE FROM recipient_special_dates
+             WHERE id=$1 AND recipient_id=$2 AND customer_id=$3
+             RETURNING id, kind, label, holiday_key`,
+            [req.params.dateId, req.params.id, req.user.id]
+        );
+
+        if (!result.rows.length)
+            return res.status(404).json({ error: "Special date not found" });
+
+        await global.__LT_logAuditEvent(
+            'account',
+            'Special Date Removed',
+            `${specialDateLabel(result.rows[0])} removed`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: { recipientId: Number(req.params.id), specialDateId: result.rows[0].id }
+            }
+        );
+
+        return res.json({ success: true });
+
+    } catch (err) {
+        console.error("SPECIAL DATE DELETE ERROR:", err);
+        return res.status(500).json({ error: "Server error deleting special date" });
+    }
+});
+
+/***************************************************************
+ *  CUSTOM MESSAGE QUEUE — customer-written notes per recipient
+ *  The scheduler sends queued notes first, then falls back to
+ *  the template library once the queue is empty.
+ ***************************************************************/
+const CUSTOM_MESSAGE_MAX_LENGTH = 1000;
+const CUSTOM_SMS_MAX_LENGTH = 280;      // 2 SMS segments incl. the STOP footer
+const CUSTOM_QUEUE_LIMIT = 50;
+
+// Quotes are kept so {nickname|"love"} style fallbacks survive
+function sanitizeCustomMessage(content) {
+    if (typeof content !== "string") return content;
+    return content.trim().replace(/[<>]/g, "");
+}
+
+function validateCustomMessage(content, deliveryMethod) {
+    if (!content)
+        return "Message can't be empty";
+
+    if (typeof content !== "string")
+        return "Message must be text";
+
+    const smsDelivery = deliveryMethod === "sms" || deliveryMethod === "both";
+    const maxLength = smsDelivery ? CUSTOM_SMS_MAX_LENGTH : CUSTOM_MESSAGE_MAX_LENGTH;
+
+    if (content.length > maxLength)
+        return `Message is too long (max ${maxLength} characters${smsDelivery ? " for SMS" : ""})`;
+
+    return global.__LT_validateTemplate(content);
+}
+
+// The raw length check above can't see what {name}, {days_together}
+// etc. expand to, so SMS notes are measured again once rendered.
+// Weekday is pinned to the longest name so any day of the week fits.
+async function validateRenderedSmsLength(content, recipient) {
+    if (recipient.delivery_method !== "sms" && recipient.delivery_method !== "both")
+        return null;
+
+    const vars = await global.__LT_buildTemplateVars(recipient);
+    const rendered = global.__LT_renderTemplate(content, { ...vars, weekday: "Wednesday" });
+
+    if (rendered.length > CUSTOM_SMS_MAX_LENGTH)
+        return `Message is too long once placeholders are filled in (${rendered.length} of max ${CUSTOM_SMS_MAX_LENGTH} characters for SMS)`;
+
+    return null;
+}
+
+async function getOwnedRecipient(recipientId, customerId) {
+    const q = await global.__LT_pool.query(
+        `SELECT id, customer_id, name, nickname, timezone, delivery_method
+         FROM users WHERE id=$1 AND customer_id=$2`,
+        [recipientId, customerId]
+    );
+    return q.rows[0] || null;
+}
+
+app.get("/api/customer/recipients/:id/messages", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const recipient = await getOwnedRecipient(req.params.id, req.user.id);
+        if (!recipient)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const q = await global.__LT_pool.query(
+            `SELECT id, content, position, status, sent_at, created_at, updated_at
+             FROM recipient_custom_messages
+             WHERE recipient_id=$1
+             ORDER BY (status = 'queued') DESC, position, id`,
+            [recipient.id]
+        );
+
+        const smsDelivery = recipient.delivery_method === "sms" || recipient.delivery_method === "both";
+
+        return res.json({
+            success: true,
+            messages: q.rows,
+            maxLength: smsDelivery ? CUSTOM_SMS_MAX_LENGTH : CUSTOM_MESSAGE_MAX_LENGTH,
+            variables: TEMPLATE_VARIABLES
+        });
+
+    } catch (err) {
+        console.error("CUSTOM MESSAGES LIST ERROR:", err);
+        return res.status(500).json({ error: "Server error loading messages" });
+    }
+});
+
+app.post("/api/customer/recipients/:id/messages", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const recipient = await getOwnedRecipient(req.params.id, req.user.id);
+        if (!recipient)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const content = sanitizeCustomMessage(req.body.content);
+        const error = validateCustomMessage(content, recipient.delivery_method)
+            || await validateRenderedSmsLength(content, recipient);
+        if (error)
+            return res.status(400).json({ error });
+
+        const countQ = await global.__LT_pool.query(
+            `SELECT COUNT(*) FROM recipient_custom_messages
+             WHERE recipient_id=$1 AND status='queued'`,
+            [recipient.id]
+        );
+
+        if (Number(countQ.rows[0].count) >= CUSTOM_QUEUE_LIMIT) {
+            return res.status(400).json({
+                error: `You can queue up to ${CUSTOM_QUEUE_LIMIT} messages per recipient.`
+            });
+        }
+
+        const inserted = await global.__LT_pool.query(
+            `INSERT INTO recipient_custom_messages (recipient_id, customer_id, content, position)
+             VALUES ($1, $2, $3,
+                 (SELECT COALESCE(MAX(position), 0) + 1
+                  FROM recipient_custom_messages WHERE recipient_id=$1))
+             RETURNING id, content, position, status, sent_at, created_at, updated_at`,
+            [recipient.id, req.user.id, content]
+        );
+
+        await global.__LT_logAuditEvent(
+            'message',
+            'Custom Message Queued',
+            `Custom message queued for ${recipient.name}`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: { recipientId: recipient.id, messageId: inserted.rows[0].id }
+            }
+        );
+
+        return res.json({ success: true, message: inserted.rows[0] });
+
+    } catch (err) {
+        console.error("CUSTOM MESSAGE ADD ERROR:", err);
+        return res.status(500).json({ error: "Server error saving message" });
+    }
+});
+
+app.patch("/api/customer/recipients/:id/messages/:messageId", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const recipient = await getOwnedRecipient(req.params.id, req.user.id);
+        if (!recipient)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const existingQ = await global.__LT_pool.query(
+            `SELECT * FROM recipient_custom_messages
+             WHERE id=$1 AND recipient_id=$2`,
+            [req.params.messageId, recipient.id]
+        );
+
+        if (!existingQ.rows.length)
+            return res.status(404).json({ error: "Message not found" });
+
+        const existing = existingQ.rows[0];
+
+        if (existing.status !== "queued")
+            return res.status(400).json({ error: "Sent messages can't be edited" });
+
+        let content = existing.content;
+        if (req.body.content !== undefined) {
+            content = sanitizeCustomMessage(req.body.content);
+            const error = validateCustomMessage(content, recipient.delivery_method)
+                || await validateRenderedSmsLength(content, recipient);
+            if (error)
+                return res.status(400).json({ error });
+        }
+
+        let position = existing.position;
+        if (req.body.position !== undefined) {
+            position = Number(req.body.position);
+            if (!Number.isInteger(position) || position < 0)
+                return res.status(400).json({ error: "Invalid position" });
+        }
+
+        const updated = await global.__LT_pool.query(
+            `UPDATE recipient_custom_messages
+             SET content=$1, position=$2, updated_at=NOW()
+             WHERE id=$3
+             RETURNING id, content, position, status, sent_at, created_at, updated_at`,
+            [content, position, existing.id]
+        );
+
+        return res.json({ success: true, message: updated.rows[0] });
+
+    } catch (err) {
+        console.error("CUSTOM MESSAGE EDIT ERROR:", err);
+        return res.status(500).json({ error: "Server error updating message" });
+    }
+});
+
+app.delete("/api/customer/recipients/:id/messages/:messageId", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const recipient = await getOwnedRecipient(req.params.id, req.user.id);
+        if (!recipient)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const result = await global.__LT_pool.query(
+            `DELETE FROM recipient_custom_messages
+             WHERE id=$1 AND recipient_id=$2 AND status='queued'
+             RETURNING id`,
+            [req.params.messageId, recipient.id]
+        );
+
+        if (!result.rows.length)
+            return res.status(404).json({ error: "Queued message not found" });
+
+        return res.json({ success: true });
+
+    } catch (err) {
+        console.error("CUSTOM MESSAGE DELETE ERROR:", err);
+        return res.status(500).json({ error: "Server error deleting message" });
+    }
+});
+
+/***************************************************************
+ *  CUSTOMER — DELETE OWN ACCOUNT
+ *  ✅ RECORDS TRIAL USAGE BEFORE DELETION
+ ***************************************************************/
+/***************************************************************
+ * 3. CUSTOMER DELETE ACCOUNT - Add audit log
+ ***************************************************************/
+app.delete("/api/customer/account", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const customerId = req.user.id;
+
+        const customerQ = await global.__LT_pool.query(
+            "SELECT email, trial_used, current_plan FROM customers WHERE id=$1",
+            [customerId]
+        );
+
+        if (customerQ.rows.length > 0) {
+            const customer = customerQ.rows[0];
+            
+            if (customer.trial_used === true) {
+                await global.__LT_recordTrialUsage(customer.email, customerId);
+            }
+
+            // ✅ AUDIT LOG - Self deletion
+            await global.__LT_logAuditEvent(
+                'account',
+                'Account Deleted (Self)',
+                `Customer deleted their own account`,
+                {
+                    customerEmail: customer.email,
+                    customerId: customerId,
+                    extra: {
+                        deletedBy: 'customer',
+                        hadPlan: customer.current_plan
+                    }
+                }
+            );
+        }
+
+        await global.__LT_pool.query("DELETE FROM users WHERE customer_id=$1", [customerId]);
+        await global.__LT_pool.query("DELETE FROM customers WHERE id=$1", [customerId]);
+
+        res.clearCookie("customer_token", {
+            httpOnly: true,
+            secure: true,
+            sameSite: "none",
+            path: "/"
+        });
+
+        return res.json({ success: true });
+
+    } catch (err) {
+        console.error("CUSTOMER DELETE ACCOUNT ERROR:", err);
+        return res.status(500).json({ error: "Server error deleting account" });
+    }
+});
+
+/***************************************************************
+ *  MESSAGE HISTORY — cursor-paginated, filterable, exportable
+ *  Pages are keyed on (sent_at, id) so new sends never shift
+ *  what a customer has already scrolled past. The cursor keeps
+ *  sent_at as Postgres text to preserve microseconds, which a
+ *  JS Date would truncate.
+ ***************************************************************/
+const HISTORY_DEFAULT_LIMIT = 25;
+const HISTORY_MAX_LIMIT = 100;
+const HISTORY_EXPORT_MAX_ROWS = 10000;
+const HISTORY_CHANNELS = ["email", "sms"];
+
+function encodeHistoryCursor(row) {
+    return Buffer.from(`${row.cursor_at}|${row.id}`).toString("base64url");
+}
+
+function decodeHistoryCursor(cursor) {
+    const [at, id] = Buffer.from(String(cursor), "base64url").toString("utf8").split("|");
+    if (!at || !/^\d+$/.test(id || "") || isNaN(Date.parse(at))) return null;
+    return { at, id: Number(id) };
+}
+
+// YYYY-MM-DD is a whole UTC day (so `to` is inclusive); full ISO
+// timestamps are used as-is, letting the dashboard send local bounds.
+function parseHistoryBound(value, endOfDay) {
+    if (!value) return null;
+    const d = DATE_PATTERN.test(value)
+        ? new Date(`${value}T00:00:00Z`)
+        : new Date(value);
+    if (isNaN(d)) return undefined;
+    if (endOfDay && DATE_PATTERN.test(value)) d.setUTCDate(d.getUTCDate() + 1);
+    return d;
+}
+
+// Validates query params shared by every history route.
+// Returns { error } or { filters }.
+function parseHistoryFilters(query, { defaultLimit = HISTORY_DEFAULT_LIMIT } = {}) {
+    const from = parseHistoryBound(query.from, false);
+    const to = parseHistoryBound(query.to, true);
+    if (from === undefined || to === undefined)
+        return { error: "from/to must be YYYY-MM-DD dates or ISO timestamps" };
+    if (from && to && from >= to)
+        return { error: "from must be before to" };
+
+    const channel = query.channel || null;
+    if (channel && !HISTORY_CHANNELS.includes(channel))
+        return { error: `channel must be one of: ${HISTORY_CHANNELS.join(", ")}` };
+
+    const type = query.type || null;
+    if (type && !MESSAGE_TYPES.includes(type))
+        return { error: `type must be one of: ${MESSAGE_TYPES.join(", ")}` };
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeHistoryCursor(query.cursor);
+        if (!cursor) return { error: "Invalid cursor" };
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), HISTORY_MAX_LIMIT);
+    const q = typeof query.q === "string" ? query.q.trim().slice(0, 200) : "";
+
+    return { filters: { from, to, channel, type, cursor, limit, q } };
+}
+
+async function queryMessageHistory(customerId, { recipientId = null, from, to, channel, type, cursor, q, limit }) {
+    const where = ["m.customer_id=$1"];
+    const params = [customerId];
+    const add = (sql, value) => {
+        params.push(value);
+        where.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (recipientId) add("m.recipient_id=?", recipientId);
+    if (from) add("m.sent_at >= ?", from);
+    if (to) add("m.sent_at < ?", to);
+    if (channel) add("m.channel=?", channel);
+    if (type) add("m.message_type=?", type);
+    if (q) add("m.message ILIKE ?", `%${q.replace(/[\\%_]/g, "\\$&")}%`);
+    if (cursor) {
+        params.push(cursor.at, cursor.id);
+        where.push(`(m.sent_at, m.id) < ($${params.length - 1}, $${params.length})`);
+    }
+
+    params.push(limit + 1);
+    const rows = (await global.__LT_pool.query(
+        `SELECT m.id, m.recipient_id, COALESCE(u.name, m.email) AS recipient_name,
+                m.email, m.message AS message_text, m.message_type, m.payload, m.sent_at,
+                m.channel, m.status, m.error, m.sent_at::text AS cursor_at
+         FROM message_logs m
+         LEFT JOIN users u ON u.id = m.recipient_id
+         WHERE ${where.join(" AND ")}
+         ORDER BY m.sent_at DESC, m.id DESC
+         LIMIT $${params.length}`,
+        params
+    )).rows;
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    return {
+        messages: page.map(({ cursor_at, ...row }) => row),
+        nextCursor: hasMore ? encodeHistoryCursor(page[page.length - 1]) : null
+    };
+}
+
+/***************************************************************
+ *  MESSAGE LOG — one recipient (dashboard modal)
+ *  Defaults to the last 5 so older clients see no change;
+ *  pass cursor/limit and the history filters to page further.
+ ***************************************************************/
+app.get("/api/message-log/:recipientId", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const { error, filters } = parseHistoryFilters(req.query, { defaultLimit: 5 });
+        if (error) return res.status(400).json({ error });
+
+        const page = await queryMessageHistory(req.user.id, {
+            ...filters,
+            recipientId: req.params.recipientId
+        });
+
+        return res.json({ success: true, ...page });
+
+    } catch (err) {
+        console.error("MESSAGE LOG ERROR:", err);
+        return res.status(500).json({ error: "Error fetching message logs" });
+    }
+});
+
+/***************************************************************
+ *  MESSAGE HISTORY — whole account
+ ***************************************************************/
+app.get("/api/customer/history", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const { error, filters } = parseHistoryFilters(req.query);
+        if (error) return res.status(400).json({ error });
+
+        const recipientId = req.query.recipientId || null;
+        if (recipientId && !/^\d+$/.test(recipientId))
+            return res.status(400).json({ error: "Invalid recipientId" });
+
+        const page = await queryMessageHistory(req.user.id, { ...filters, recipientId });
+        return res.json({ success: true, ...page });
+
+    } catch (err) {
+        console.error("MESSAGE HISTORY ERROR:", err);
+        return res.status(500).json({ error: "Error fetching message history" });
+    }
+});
+
+/***************************************************************
+ *  MESSAGE HISTORY — CSV / JSON export
+ *  Same filters as the history list, oldest first, capped at
+ *  HISTORY_EXPORT_MAX_ROWS. Cells starting with = + - @ are
+ *  prefixed with ' so spreadsheets don't run them as formulas.
+ ***************************************************************/
+const HISTORY_EXPORT_COLUMNS = [
+    "sent_at", "recipient_name", "email", "channel", "message_type",
+    "status", "message_text", "error"
+];
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let s = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+app.get("/api/customer/history/export", global.__LT_authCustomer, async (req, res) => {
+    try {
+        const format = req.query.format || "csv";
+        if (!["csv", "json"].includes(format))
+            return res.status(400).json({ error: "format must be csv or json" });
+
+        const { error, filters } = parseHistoryFilters({ ...req.query, cursor: null, limit: null });
+        if (error) return res.status(400).json({ error });
+
+        const recipientId = req.query.recipientId || null;
+        if (recipientId && !/^\d+$/.test(recipientId))
+            return res.status(400).json({ error: "Invalid recipientId" });
+
+        const { messages } = await queryMessageHistory(req.user.id, {
+            ...filters,
+            recipientId,
+            limit: HISTORY_EXPORT_MAX_ROWS
+        });
+        messages.reverse();
+
+        const filename = `lovetextforher-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+        await global.__LT_logAuditEvent(
+            "account",
+            "Message History Exported",
+            `Customer exported ${messages.length} messages as ${format.toUpperCase()}`,
+            {
+                customerEmail: req.user.email,
+                customerId: req.user.id,
+                extra: { format, count: messages.length, recipientId }
+            }
+        );
+
+        if (format === "json") {
+            return res.json({ exportedAt: new Date().toISOString(), count: messages.length, messages });
+        }
+
+        const lines = [
+            HISTORY_EXPORT_COLUMNS.join(","),
+            ...messages.map(m => HISTORY_EXPORT_COLUMNS.map(col => csvCell(m[col])).join(","))
+        ];
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        // BOM so Excel reads the emoji in messages as UTF-8
+        return res.send("\uFEFF" + lines.join("\r\n") + "\r\n");
+
+    } catch (err) {
+        console.error("MESSAGE HISTORY EXPORT ERROR:", err);
+        return res.status(500).json({ error: "Error exporting message history" });
+    }
+});
+
+/***************************************************************
+ *  FLOWERS — kinds and daily quota
+ *  Flowers are logged with message_type 'flower' and a payload
+ *  of { flower, note }. The daily limit resets at midnight in
+ *  the customer's timezone, not the server's.
+ ***************************************************************/
+const FLOWER_DAILY_LIMIT = 2;
+const DEFAULT_FLOWER = "cherry_blossom";
+
+// Each flower's gift card theme: primary (header, links), tint
+// (card background) and accent (note block border)
+const FLOWERS = {
+    rose:           { emoji: "🌹", label: "Rose",           primary: "#b71c3c", tint: "#fff0f3", accent: "#e8467c" },
+    cherry_blossom: { emoji: "🌸", label: "Cherry Blossom", primary: "#d6336c", tint: "#fff5f9", accent: "#f8bbd0" },
+    sunflower:      { emoji: "🌻", label: "Sunflower",      primary: "#e09600", tint: "#fffbea", accent: "#fbc02d" },
+    tulip:          { emoji: "🌷", label: "Tulip",          primary: "#c2185b", tint: "#fdf2f8", accent: "#f06292" }
+};
+
+async function customerTimezone(customerId) {
+    const q = await global.__LT_pool.query(
+        "SELECT timezone FROM customers WHERE id=$1",
+        [customerId]
+    );
+    const tz = q.rows[0]?.timezone;
+    return tz && moment.tz.zone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+// One log row per channel; a single send shares one sent_at.
+// sent_at is a TIMESTAMP written with NOW(), i.e. in the database
+// session's zone, so the customer's midnight is worked out in SQL
+// where the comparison uses that same zone.
+async function countFlowersToday(customerId, recipientId) {
+    const tz = await customerTimezone(customerId);
+
+    const q = await global.__LT_pool.query(
+        `SELECT COUNT(DISTINCT sent_at) AS count FROM message_logs
+         WHERE customer_id = $1
+         AND recipient_id = $2
+         AND message_type = 'flower'
+         AND status <> 'failed'
+         AND sent_at >= date_trunc('day', NOW() AT TIME ZONE $3) AT TIME ZONE $3`,
+        [customerId, recipientId, tz]
+    );
+
+    return Number(q.rows[0].count);
+}
+
+global.__LT_FLOWERS = FLOWERS;
+
+/***************************************************************
+ *  GIFT CARDS
+ *  A flower is sent as a gift: one `gifts` row per send, shown
+ *  as a themed HTML card in email and as a hosted page at
+ *  /gift/:token that the SMS links to. The page uses the SVG
+ *  illustrations in /img/gifts; emails use the flower emoji
+ *  instead because most mail clients block SVG images.
+ *  Names are already sanitized before they get here; notes keep
+ *  their quotes and are escaped when the card is rendered.
+ ***************************************************************/
+function giftURLFor(token) {
+    return `${process.env.BASE_URL}/gift/${token}`;
+}
+
+// A flower that never went out: drop its card and the card link
+// its message_logs rows carry, so history doesn't link to a 404
+async function discardGift(token, recipient) {
+    await global.__LT_pool.query("DELETE FROM gifts WHERE token=$1", [token]);
+    await global.__LT_pool.query(
+        `UPDATE message_logs SET payload = payload - 'giftToken'
+         WHERE customer_id=$2 AND recipient_id=$3
+           AND message_type='flower' AND payload->>'giftToken' = $1`,
+        [token, recipient.customer_id, recipient.id]
+    );
+}
+
+function giftBloomStyles(flower) {
+    return `
+        @keyframes lt-bloom {
+            0%   { transform: scale(0.6) rotate(-8deg); opacity: 0; }
+            60%  { transform: scale(1.08) rotate(3deg); opacity: 1; }
+            100% { transform: scale(1) rotate(0); opacity: 1; }
+        }
+        @keyframes lt-sway {
+            0%, 100% { transform: rotate(-3deg); }
+            50%      { transform: rotate(3deg); }
+        }
+        .lt-bloom { display: inline-block; animation: lt-bloom 1.2s ease-out both; }
+        .lt-bloom > * { display: inline-block; animation: lt-sway 4s ease-in-out 1.2s infinite; transform-origin: 50% 100%; }
+        .lt-note { border-left: 4px solid ${flower.accent}; }
+    `;
+}
+
+// gift: { token, flower, note, senderName, recipientName }
+function giftTheme(gift) {
+    const key = Object.hasOwn(FLOWERS, gift.flower) ? gift.flower : DEFAULT_FLOWER;
+    return { key, flower: FLOWERS[key] };
+}
+
+function giftHeadline(gift, flower) {
+    const name = global.__LT_sanitize(gift.recipientName || "");
+    const from = global.__LT_sanitize(gift.senderName || "") || "someone";
+    const sent = `${from} sent you a ${flower.label.toLowerCase()}`;
+    return name ? `${name}, ${sent}` : sent.charAt(0).toUpperCase() + sent.slice(1);
+}
+
+function giftNoteBlock(flower, note) {
+    if (!note) return "";
+    return `
+        <div class="lt-note" style="background:white;border-left:4px solid ${flower.accent};border-radius:6px;padding:20px 24px;margin:24px 0;text-align:left;">
+            <p style="font-size:18px;line-height:1.7;color:#333;margin:0;font-style:italic;">“${escapeHtml(note)}”</p>
+        </div>`;
+}
+
+function buildGiftEmailHTML(gift, unsubscribeURL, preferencesURL = null) {
+    const { flower } = giftTheme(gift);
+
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <style>${giftBloomStyles(flower)}</style>
+        </head>
+        <body style="margin:0;padding:0;font-family:Arial,sans-serif;background-color:#f5f5f5;">
+            <div style="max-width:600px;margin:40px auto;background-color:${flower.tint};border-radius:8px;box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+                <div style="background-color:${flower.primary};padding:24px 30px;border-radius:8px 8px 0 0;text-align:center;">
+                    <p style="color:white;margin:0;font-size:14px;letter-spacing:2px;text-transform:uppercase;">A gift for you</p>
+                </div>
+                <div style="padding:40px 30px;text-align:center;">
+                    <div class="lt-bloom" style="font-size:96px;line-height:1;"><span>${flower.emoji}</span></div>
+                    <h2 style="color:${flower.primary};margin:24px 0 0;">${giftHeadline(gift, flower)}</h2>
+                    ${giftNoteBlock(flower, gift.note)}
+                    <a href="${giftURLFor(gift.token)}"
+                       style="display:inline-block;background-color:${flower.primary};color:white;text-decoration:none;font-weight:bold;padding:12px 28px;border-radius:24px;">
+                        Open your card
+                    </a>
+                    <hr style="border:none;border-top:1px solid #eee;margin:30px 0;">
+                    <p style="color:#999;font-size:12px;text-align:center;margin:0;">
+                        Don't want to receive these messages?<br>
+                        <a href="${unsubscribeURL}" 
+                           style="color:${flower.primary};text-decoration:none;font-weight:bold;">
+                            Click here to unsubscribe
+                        </a>
+                        ${preferencesURL ? `
+                        <br>or <a href="${preferencesURL}" style="color:${flower.primary};text-decoration:none;">
+                            pause or get fewer messages
+                        </a>` : ''}
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+}
+
+function buildGiftPageHTML(gift) {
+    const { key, flower } = giftTheme(gift);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>A ${flower.label.toLowerCase()} for you ${flower.emoji}</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+               font-family: Arial, sans-serif; background: linear-gradient(160deg, ${flower.tint}, white); }
+        .card { max-width: 480px; margin: 24px; padding: 40px 32px; background: white; border-radius: 16px;
+                box-shadow: 0 10px 30px rgba(0,0,0,0.08); text-align: center; }
+        .card img { width: 180px; height: auto; }
+        h1 { color: ${flower.primary}; font-size: 24px; margin: 24px 0 0; }
+        .footer { margin-top: 32px; font-size: 12px; color: #999; }
+        .footer a { color: ${flower.primary}; text-decoration: none; }
+        ${giftBloomStyles(flower)}
+    </style>
+</head>
+<body>
+    <div class="card">
+        <div class="lt-bloom"><span><img src="/img/gifts/${key}.svg" alt="${flower.emoji} ${flower.label}"></span></div>
+        <h1>${giftHeadline(gift, flower)}</h1>
+        ${giftNoteBlock(flower, gift.note)}
+        <div class="footer">Sent with 💌 <a href="/">LoveTextForHer</a></div>
+    </div>
+</body>
+</html>`;
+}
+
+global.__LT_buildGiftEmailHTML = buildGiftEmailHTML;
+global.__LT_giftURLFor = giftURLFor;
+
+/***************************************************************
+ *  UPDATED SEND FLOWERS ENDPOINT
+ *  - Plus plan only
+ *  - Maximum 2 flowers per recipient per day
+ *  Replace your existing /api/customer/send-flowers/:id endpoint
+ ***************************************************************/
+
+app.post("/api/customer/send-flowers/:id", 
+    global.__LT_authCustomer, 
+    async (req, res) => {
+    try {
+        const rid = req.params.id;
+        const { note } = req.body;
+        const flowerKey = req.body.flower || DEFAULT_FLOWER;
+
+        // Own keys only: "constructor" or "__proto__" aren't flowers
+        if (typeof flowerKey !== "string" || !Object.hasOwn(FLOWERS, flowerKey)) {
+            return res.status(400).json({
+                error: `flower must be one of: ${Object.keys(FLOWERS).join(", ")}`
+            });
+        }
+
+        const flower = FLOWERS[flowerKey];
+
+        // ✅ CHECK 1: Get customer plan
+        const customerQ = await global.__LT_pool.query(
+            "SELECT name, current_plan, has_subscription, subscription_end FROM customers WHERE id=$1",
+            [req.user.id]
+        );
+
+        if (!customerQ.rows.length) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+
+        const customer = customerQ.rows[0];
+
+        // ✅ CHECK 2: Verify Plus plan
+        if (customer.current_plan !== "plus") {
+            return res.status(403).json({ 
+                error: "Send Flowers is a Plus plan feature. Upgrade to access this feature.",
+                requiresPlan: "plus"
+            });
+        }
+
+        // ✅ CHECK 3: Verify active subscription
+        const now = new Date();
+        const isActive = customer.has_subscription || 
+                        (customer.subscription_end && new Date(customer.subscription_end) > now);
+        
+        if (!isActive) {
+            return res.status(403).json({ 
+                error: "Your subscription is not active. Please renew to send flowers." 
+            });
+        }
+
+        // ✅ CHECK 4: Get recipient
+        const q = await global.__LT_pool.query(
+            "SELECT * FROM users WHERE id=$1 AND customer_id=$2",
+            [rid, req.user.id]
+        );
+
+        if (!q.rows.length) {
+            return res.status(404).json({ error: "Recipient not found" });
+        }
+
+        const r = q.rows[0];
+
+        const inactiveError = inactiveRecipientError(r);
+        if (inactiveError) {
+            return res.status(409).json({ error: inactiveError });
+        }
+
+        // ✅ CHECK 5: Count flowers sent today to this recipient
+        const flowersSentToday = await countFlowersToday(req.user.id, rid);
+
+        if (flowersSentToday >= FLOWER_DAILY_LIMIT) {
+            return res.status(429).json({ 
+                error: `You've reached the daily limit of ${FLOWER_DAILY_LIMIT} flowers per recipient. Try again tomorrow!`,
+                limit: FLOWER_DAILY_LIMIT,
+                sent: flowersSentToday
+            });
+        }
+
+        if (note != null && typeof note !== "string") {
+            return res.status(400).json({ error: "Note must be text" });
+        }
+
+        // Notes may use the same {placeholders} as templates
+        const noteError = global.__LT_validateTemplate(note);
+        if (noteError) {
+            return res.status(400).json({ error: noteError });
+        }
+
+        // ✅ ALL CHECKS PASSED - SEND FLOWER
+        const vars = await global.__LT_buildTemplateVars(r);
+        // Quotes stay (apostrophes are common in notes); the gift card escapes it
+        const renderedNote = sanitizeCustomMessage(global.__LT_renderTemplate(note?.trim() || "", vars));
+        const flowerName = flower.label.toLowerCase();
+        const message = `${flower.emoji} A ${flowerName} for you!` +
+            (renderedNote ? ` — ${renderedNote}` : "");
+
+        // The gift card needs its token before sending: the SMS links to it
+        const giftQ = await global.__LT_pool.query(
+            `INSERT INTO gifts (token, customer_id, recipient_id, flower, note, sender_name)
+             VALUES ($1,$2,$3,$4,$5,$6)
+             RETURNING token`,
+            [
+                crypto.randomBytes(16).toString("hex"),
+                req.user.id,
+                r.id,
+                flowerKey,
+                renderedNote || null,
+                global.__LT_sanitize(customer.name || "") || null
+            ]
+        );
+        const giftToken = giftQ.rows[0].token;
+
+        // SEND THROUGH EVERY CHANNEL THE RECIPIENT USES
+        // (gift travels in the content so retries render the same card)
+        const content = {
+            subject: `You received a ${flowerName} ${flower.emoji}`,
+            message,
+            vars,
+            icon: flower.emoji,
+            gift: {
+                token: giftToken,
+                flower: flowerKey,
+                note: renderedNote || null,
+                senderName: global.__LT_sanitize(customer.name || "") || null,
+                recipientName: r.nickname || r.name
+            }
+        };
+
+        let delivery;
+        try {
+            delivery = await global.__LT_dispatchMessage(r, content);
+        } catch (err) {
+            // Nothing was logged yet and the card link never went out
+            await discardGift(giftToken, r).catch(() => {});
+            throw err;
+        }
+
+        // Log the flower message; failed channels go to the retry queue
+        // (dead-lettered attempts don't count toward the limit)
+        const recorded = await global.__LT_recordDelivery(r, content, delivery, {
+            kind: "flower",
+            payload: { flower: flowerKey, note: renderedNote || null, giftToken }
+        });
+
+        if (!delivery.ok && !recorded.queued) {
+            await discardGift(giftToken, r);
+            return res.status(502).json({
+                error: "We couldn't deliver your flower. Please try again in a few minutes.",
+                results: delivery.results
+            });
+        }
+
+        console.log(`${flower.emoji} Flower ${delivery.ok ? "sent" : "queued for retry"} → ${r.name}`);
+
+        return res.json({ 
+            success: true,
+            queued: !delivery.ok,
+            deferredUntil: delivery.ok ? null : deferredUntilOf(delivery),
+            giftURL: global.__LT_giftURLFor(giftToken),
+            flowersSentToday: flowersSentToday + 1,
+            remainingToday: FLOWER_DAILY_LIMIT - (flowersSentToday + 1)
+        });
+
+    } catch (err) {
+        console.error("❌ FLOWER SEND ERROR:", err);
+        return res.status(500).json({ error: "Error sending flower." });
+    }
+});
+
+/***************************************************************
+ *  OPTIONAL: GET FLOWER STATUS FOR A RECIPIENT
+ *  Shows how many flowers have been sent today
+ ***************************************************************/
+app.get("/api/customer/flower-status/:id",
+    global.__LT_authCustomer,
+    async (req, res) => {
+    try {
+        const rid = req.params.id;
+
+        // Check customer plan
+        const customerQ = await global.__LT_pool.query(
+            "SELECT current_plan FROM customers WHERE id=$1",
+            [req.user.id]
+        );
+
+        if (!customerQ.rows.length) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+
+        const isPlusUser = customerQ.rows[0].current_plan === "plus";
+
+        // Count flowers sent today
+        const flowersSentToday = await countFlowersToday(req.user.id, rid);
+
+        return res.json({
+            isPlusUser,
+            flowersSentToday,
+            remainingToday: Math.max(0, FLOWER_DAILY_LIMIT - flowersSentToday),
+            dailyLimit: FLOWER_DAILY_LIMIT,
+            canSendFlower: isPlusUser && flowersSentToday < FLOWER_DAILY_LIMIT
+        });
+
+    } catch (err) {
+        console.error("❌ FLOWER STATUS ERROR:", err);
+        return res.status(500).json({ error: "Error checking flower status" });
+    }
+});
+
+/***************************************************************
+ *  PUBLIC GIFT CARD PAGE — linked from flower SMS and emails
+ ***************************************************************/
+app.get("/gift/:token", async (req, res) => {
+    try {
+        const token = req.params.token;
+        if (!/^[a-f0-9]{32}$/.test(token))
+            return res.status(404).send("This gift card could not be found.");
+
+        const q = await global.__LT_pool.query(
+            `UPDATE gifts g
+             SET viewed_at = COALESCE(g.viewed_at, NOW()), view_count = g.view_count + 1
+             FROM users u
+             WHERE g.token=$1 AND u.id = g.recipient_id
+             RETURNING g.flower, g.note, g.sender_name, COALESCE(u.nickname, u.name) AS recipient_name`,
+            [token]
+        );
+
+        if (!q.rows.length)
+            return res.status(404).send("This gift card could not be found.");
+
+        const gift = q.rows[0];
+        res.setHeader("Cache-Control", "private, no-store");
+        return res.send(buildGiftPageHTML({
+            flower: gift.flower,
+            note: gift.note,
+            senderName: gift.sender_name,
+            recipientName: gift.recipient_name
+        }));
+
+    } catch (err) {
+        console.error("GIFT PAGE ERROR:", err);
+        return res.status(500).send("Error loading gift card.");
+    }
+});
+
+/***************************************************************
+ *  PUBLIC UNSUBSCRIBE LINK
+ ***************************************************************/
+app.get("/api/unsubscribe/:token", async (req, res) => {
+    try {
+        const token = req.params.token;
+
+        const q = await global.__LT_pool.query(
+            "SELECT id, name, email, phone_number, customer_id, opted_out_at FROM users WHERE unsubscribe_token=$1",
+            [token]
+        );
+
+        if (!q.rows.length)
+            return res.status(404).send("Invalid unsubscribe token.");
+
+        const recipient = q.rows[0];
+
+        // Link clicked twice — already handled, don't notify again
+        if (!recipient.opted_out_at) {
+            await optOutRecipient(recipient, "unsubscribed", ["email", "sms"]);
+        }
+
+        console.log(`🚫 Recipient unsubscribed: ${recipient.name}`);
+
+        return res.send(`
+            <h2 style="font-family:Arial">You've been unsubscribed ❤️</h2>
+            <p style="font-family:Arial">You will no longer receive love messages.</p>
+            <p style="font-family:Arial;color:#999;font-size:14px;">Your address has been added to our do-not-contact list.</p>
+        `);
+
+    } catch (err) {
+        console.error("UNSUBSCRIBE ERROR:", err);
+        return res.status(500).send("Error completing unsubscribe");
+    }
+});
+
+/***************************************************************
+ *  RECIPIENT PREFERENCE CENTER (public, unsubscribe_token auth)
+ *  preferences.html lets the recipient pause for a few days,
+ *  get messages less often, switch email ↔ SMS or unsubscribe.
+ *  Every change is audited and marks preferences_updated_at so
+ *  the sender's dashboard can show it.
+ ***************************************************************/
+const PREFERENCE_PAUSE_DAYS = [3, 7, 14, 30];
+
+// Messages per week, used to only offer *less* frequent options
+const FREQUENCY_PER_WEEK = {
+    "daily": 7,
+    "every-other-day": 3.5,
+    "three-times-week": 3,
+    "weekly": 1,
+    "bi-weekly": 0.5
+};
+
+function frequencyPerWeek(r) {
+    if (r.frequency === "custom") return (r.delivery_days || []).length;
+    return FREQUENCY_PER_WEEK[r.frequency] ?? 7;
+}
+
+// A number that texted STOP or is flagged undeliverable can't be picked
+async function deliveryMethodOptions(r) {
+    const smsOk = Boolean(r.phone_number) && !r.sms_flagged_reason
+        && !(await isSuppressed("sms", r.phone_number));
+
+    const options = [];
+    if (r.email) options.push("email");
+    if (smsOk) options.push("sms");
+    if (r.email && smsOk) options.push("both");
+    return options;
+}
+
+async function findRecipientByPreferenceToken(token) {
+    const q = await global.__LT_pool.query(
+        `SELECT u.*, c.name AS sender_name
+         FROM users u
+         JOIN customers c ON u.customer_id = c.id
+         WHERE u.unsubscribe_token=$1`,
+        [token]
+    );
+    return q.rows[0] || null;
+}
+
+async function auditPreferenceChange(r, change, from, to) {
+    await global.__LT_pool.query(
+        "UPDATE users SET preferences_updated_at=NOW() WHERE id=$1",
+        [r.id]
+    );
+
+    await global.__LT_logAuditEvent(
+        'account',
+        'Recipient Preferences Updated',
+        `${r.name} changed ${change}`,
+        {
+            customerId: r.customer_id,
+            extra: { recipientId: r.id, change, from, to, source: "preference_center" }
+        }
+    );
+}
+
+app.get("/api/preferences/:token", async (req, res) => {
+    try {
+        const r = await findRecipientByPreferenceToken(req.params.token);
+
+        if (!r)
+            return res.status(404).json({ error: "Invalid or expired link" });
+
+        const perWeek = frequencyPerWeek(r);
+
+        return res.json({
+            name: r.name,
+            senderName: r.sender_name,
+            frequency: r.frequency,
+            deliveryMethod: r.delivery_method || "email",
+            pausedUntil: r.paused_reason === "recipient_pause" ? r.paused_until : null,
+            optedOut: Boolean(r.opted_out_at),
+            options: {
+                pauseDays: PREFERENCE_PAUSE_DAYS,
+                frequencies: Object.keys(FREQUENCY_PER_WEEK)
+                    .filter(f => FREQUENCY_PER_WEEK[f] < perWeek),
+                deliveryMethods: await deliveryMethodOptions(r)
+            }
+        });
+
+    } catch (err) {
+        console.error("PREFERENCES LOAD ERROR:", err);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+app.post("/api/preferences/:token", async (req, res) => {
+    try {
+        const r = await findRecipientByPreferenceToken(req.params.token);
+
+        if (!r)
+            return res.status(404).json({ error: "Invalid or expired link" });
+
+        if (r.opted_out_at)
+            return res.status(409).json({ error: "You've already unsubscribed" });
+
+        const { action } = req.body;
+
+        if (action === "pause") {
+            const days = Number(req.body.days);
+            if (!PREFERENCE_PAUSE_DAYS.includes(days))
+                return res.status(400).json({ error: "Invalid pause length" });
+
+            const pausedUntil = moment().add(days, "days").toDate();
+
+            // Never overwrite another pause (bounce, STOP, the sender's
+            // own pause): its reason is what decides when it may lift
+            const paused = await global.__LT_pool.query(
+                `UPDATE users
+                 SET is_active=false, paused_reason='recipient_pause', paused_at=NOW(), paused_until=$2
+                 WHERE id=$1 AND (is_active=true OR paused_reason IS NULL)
+                 RETURNING id`,
+                [r.id, pausedUntil]
+            );
+
+            if (!paused.rows.length)
+                return res.status(409).json({ error: "Messages are already paused" });
+
+            await auditPreferenceChange(r, "pause", null, pausedUntil.toISOString());
+            return res.json({ success: true, pausedUntil });
+        }
+
+        if (action === "resume") {
+            if (r.paused_reason !== "recipient_pause")
+                return res.status(400).json({ error: "Messages aren't paused" });
+
+            await resumeRecipient(r);
+            await auditPreferenceChange(r, "resume", r.paused_until, null);
+            return res.json({ success: true });
+        }
+
+        if (action === "frequency") {
+            const frequency = req.body.frequency;
+            if (!(FREQUENCY_PER_WEEK[frequency] < frequencyPerWeek(r)))
+                return res.status(400).json({ error: "You can only choose a less frequent schedule" });
+
+            const nextDelivery = calculateNextDelivery(
+                frequency,
+                r.timings,
+                r.timezone,
+                r.last_sent,
+                null
+            );
+
+            await global.__LT_pool.query(
+                `UPDATE users SET frequency=$2, delivery_days=NULL, next_delivery=$3, deferred_from=NULL WHERE id=$1`,
+                [r.id, frequency, nextDelivery]
+            );
+
+            await auditPreferenceChange(r, "frequency", r.frequency, frequency);
+            return res.json({ success: true });
+        }
+
+        if (action === "channel") {
+            const method = req.body.deliveryMethod;
+            if (!(await deliveryMethodOptions(r)).includes(method))
+                return res.status(400).json({ error: "That delivery option isn't available" });
+
+            await global.__LT_pool.query(
+                "UPDATE users SET delivery_method=$2 WHERE id=$1",
+                [r.id, method]
+            );
+
+            // Email-only no longer needs the number they sent STOP from
+            if (method === "email" && r.paused_reason === "sms_stop") {
+                await resumeRecipient(r);
+            }
+
+            await auditPreferenceChange(r, "delivery method", r.delivery_method, method);
+            return res.json({ success: true });
+        }
+
+        if (action === "unsubscribe") {
+            await optOutRecipient(r, "unsubscribed", ["email", "sms"]);
+            return res.json({ success: true });
+        }
+
+        return res.status(400).json({ error: "Unknown action" });
+
+    } catch (err) {
+        console.error("PREFERENCES UPDATE ERROR:", err);
+        return res.status(500).json({ error: "Server error saving preferences" });
+    }
+});
+
+/***************************************************************
+ *  ADMIN — GET ALL RECIPIENTS
+ ***************************************************************/
+app.get("/api/admin/recipients", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const q = await global.__LT_pool.query(
+            `SELECT 
+                id, customer_id, email, name, relationship, frequency,
+                delivery_days, timings, timezone, next_delivery, last_sent, is_active,
+                consent_status, consent_confirmed_at
+             FROM users
+             ORDER BY id DESC`
+        );
+
+        return res.json(q.rows);
+
+    } catch (err) {
+        console.error("ADMIN RECIPIENTS ERROR:", err);
+        return res.status(500).json({ error: "Server error loading recipients" });
+    }
+});
+
+/***************************************************************
+ *  ADMIN — DELETE RECIPIENT
+ ***************************************************************/
+app.delete("/api/admin/recipients/:id", global.__LT_authAdmin, async (req, res) => {
+    try {
+        await global.__LT_pool.query(
+            "DELETE FROM users WHERE id=$1",
+            [req.params.id]
+        );
+
+        return res.json({ success: true });
+
+    } catch (err) {
+        console.error("ADMIN DELETE ERROR:", err);
+        return res.status(500).json({ error: "Server error deleting recipient" });
+    }
+});
+
+/***************************************************************
+ *  ADMIN — MESSAGE TEMPLATE LIBRARY
+ *  Every write refreshes the template cache so the scheduler
+ *  picks up changes without a redeploy.
+ ***************************************************************/
+const TEMPLATE_BODY_MAX_LENGTH = 1000;
+const TEMPLATE_SLUG_PATTERN = /^[a-z0-9-]{2,50}$/;
+const TEMPLATE_LANGUAGE_PATTERN = /^[a-z]{2}(-[a-z]{2})?$/;
+
+const TEMPLATE_PREVIEW_VARS = {
+    sender_name: "Sam",
+    nickname: "Sunshine",
+    days_together: 1000,
+    weekday: "Friday",
+    holiday: "Valentine's Day"
+};
+
+function parseTemplateTags(input) {
+    const list = Array.isArray(input) ? input : String(input || "").split(",");
+    return [...new Set(
+        list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)
+    )].slice(0, 10);
+}
+
+// Validates the template fields present in `fields`; returns an error string or null
+function validateTemplateFields(fields) {
+    if ("relationship" in fields && !TEMPLATE_SLUG_PATTERN.test(fields.relationship || "")) {
+        return "Relationship must be 2-50 lowercase letters, numbers or dashes";
+    }
+
+    if ("body" in fields) {
+        if (!fields.body) return "Template text is required";
+        if (fields.body.length > TEMPLATE_BODY_MAX_LENGTH) {
+            return `Template text must be ${TEMPLATE_BODY_MAX_LENGTH} characters or fewer`;
+        }
+
+        const templateError = validateTemplate(fields.body);
+        if (templateError) return templateError;
+    }
+
+    if ("tone" in fields && fields.tone && fields.tone.length > 30) {
+        return "Tone must be 30 characters or fewer";
+    }
+
+    if ("language" in fields && !TEMPLATE_LANGUAGE_PATTERN.test(fields.language || "")) {
+        return "Language must be a code like en or es-mx";
+    }
+
+    return null;
+}
+
+// Normalizes request body fields into column values (only keys that were sent)
+function normalizeTemplateFields(body) {
+    const fields = {};
+
+    if (body.relationship !== undefined) fields.relationship = String(body.relationship || "").trim().toLowerCase();
+    if (body.body !== undefined) fields.body = String(body.body || "").trim();
+    if (body.tone !== undefined) fields.tone = global.__LT_sanitize(String(body.tone || "").trim().toLowerCase()) || null;
+    if (body.tags !== undefined) fields.tags = parseTemplateTags(body.tags);
+    if (body.language !== undefined) fields.language = String(body.language || "").trim().toLowerCase();
+    if (body.active !== undefined) fields.active = Boolean(body.active);
+
+    return fields;
+}
+
+app.get("/api/admin/templates", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const { relationship, language, active } = req.query;
+        const where = [];
+        const params = [];
+
+        if (relationship) {
+            params.push(String(relationship).toLowerCase());
+            where.push(`relationship = $${params.length}`);
+        }
+
+        if (language) {
+            params.push(String(language).toLowerCase());
+            where.push(`language = $${params.length}`);
+        }
+
+        if (active === "true" || active === "false") {
+            params.push(active === "true");
+            where.push(`active = $${params.length}`);
+        }
+
+        const q = await global.__LT_pool.query(
+            `SELECT id, relationship, tone, tags, language, body, active, created_at, updated_at
+             FROM message_templates
+             ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+             ORDER BY relationship, id`,
+            params
+        );
+
+        const relQ = await global.__LT_pool.query(
+            `SELECT DISTINCT relationship FROM message_templates ORDER BY relationship`
+        );
+
+        return res.json({
+            success: true,
+            templates: q.rows,
+            relationships: relQ.rows.map(r => r.relationship),
+            variables: TEMPLATE_VARIABLES,
+            maxLength: TEMPLATE_BODY_MAX_LENGTH
+        });
+
+    } catch (err) {
+        console.error("ADMIN TEMPLATES ERROR:", err);
+        return res.status(500).json({ error: "Server error loading templates" });
+    }
+});
+
+app.post("/api/admin/templates", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const fields = {
+            language: DEFAULT_TEMPLATE_LANGUAGE,
+            tags: [],
+            tone: null,
+            ...normalizeTemplateFields(req.body),
+            active: req.body.active === undefined ? true : Boolean(req.body.active)
+        };
+
+        if (fields.relationship === undefined) fields.relationship = "";
+        if (fields.body === undefined) fields.body = "";
+
+        const error = validateTemplateFields(fields);
+        if (error) return res.status(400).json({ error });
+
+        const q = await global.__LT_pool.query(
+            `INSERT INTO message_templates (relationship, tone, tags, language, body, active)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [fields.relationship, fields.tone, fields.tags, fields.language, fields.body, fields.active]
+        );
+
+        await global.__LT_logAuditEvent(
+            'admin',
+            'Template Created',
+            `Created ${fields.relationship} template #${q.rows[0].id}`,
+            {
+                adminEmail: req.admin.email,
+                adminId: req.admin.id,
+                extra: { templateId: q.rows[0].id, relationship: fields.relationship, language: fields.language }
+            }
+        );
+
+        await loadTemplateCache();
+
+        return res.json({ success: true, template: q.rows[0] });
+
+    } catch (err) {
+        console.error("ADMIN TEMPLATE CREATE ERROR:", err);
+        return res.status(500).json({ error: "Server error creating template" });
+    }
+});
+
+app.patch("/api/admin/templates/:id", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const templateId = parseInt(req.params.id);
+        if (isNaN(templateId)) {
+            return res.status(400).json({ error: "Invalid template ID" });
+        }
+
+        const fields = normalizeTemplateFields(req.body);
+        const keys = Object.keys(fields);
+        if (!keys.length) {
+            return res.status(400).json({ error: "Nothing to update" });
+        }
+
+        const error = validateTemplateFields(fields);
+        if (error) return res.status(400).json({ error });
+
+        const sets = keys.map((key, i) => `${key} = $${i + 1}`);
+        const q = await global.__LT_pool.query(
+            `UPDATE message_templates
+             SET ${sets.join(", ")}, updated_at = NOW()
+             WHERE id = $${keys.length + 1}
+             RETURNING *`,
+            [...keys.map(key => fields[key]), templateId]
+        );
+
+        if (!q.rows.length) {
+            return res.status(404).json({ error: "Template not found" });
+        }
+
+        const action = keys.length === 1 && "active" in fields
+            ? (fields.active ? 'Template Enabled' : 'Template Disabled')
+            : 'Template Updated';
+
+        await global.__LT_logAuditEvent(
+            'admin',
+            action,
+            `${action.replace("Template ", "")} template #${templateId}`,
+            {
+                adminEmail: req.admin.email,
+                adminId: req.admin.id,
+                extra: { templateId, fields: keys }
+            }
+        );
+
+        await loadTemplateCache();
+
+        return res.json({ success: true, template: q.rows[0] });
+
+    } catch (err) {
+        console.error("ADMIN TEMPLATE UPDATE ERROR:", err);
+        return res.status(500).json({ error: "Server error updating template" });
+    }
+});
+
+app.post("/api/admin/templates/preview", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const body = String(req.body.body || "").trim();
+        const name = global.__LT_sanitize(String(req.body.name || "").trim()) || "Alex";
+
+        const error = validateTemplateFields({ body });
+        if (error) return res.status(400).json({ error });
+
+        const vars = { ...TEMPLATE_PREVIEW_VARS, name };
+        const message = renderTemplate(body, vars);
+
+        return res.json({
+            success: true,
+            message,
+            sms: `${message}\n\nReply STOP to unsubscribe`,
+            html: buildLoveEmailHTML(name, message, "#", vars)
+        });
+
+    } catch (err) {
+        console.error("ADMIN TEMPLATE PREVIEW ERROR:", err);
+        return res.status(500).json({ error: "Server error previewing template" });
+    }
+});
+
+/***************************************************************
+ *  ADMIN "SEND NOW" - ALSO FIXED FOR SMS (Part 5)
+ *  Replace your existing /api/admin/send-now/:id endpoint
+ ***************************************************************/
+app.post("/api/admin/send-now/:id", 
     global.__LT_authAdmin, 
     async (req, res) => {
     try {
-        const rid = req.params.id;
+        const rid = req.params.id;
+
+        const q = await global.__LT_pool.query(
+            "SELECT * FROM users WHERE id=$1",
+            [rid]
+        );
+
+        if (!q.rows.length)
+            return res.status(404).json({ error: "Recipient not found" });
+
+        const r = q.rows[0];
+
+        const inactiveError = inactiveRecipientError(r);
+        if (inactiveError)
+            return res.status(409).json({ error: inactiveError });
+
+        const vars = await global.__LT_buildTemplateVars(r);
+        const { message, templateId } = await global.__LT_buildRotatedMessage(r, vars);
+
+        // SEND THROUGH EVERY CHANNEL THE RECIPIENT USES
+        const content = {
+            subject: "Your Love Message ❤️",
+            message,
+            vars
+        };
+        const delivery = await global.__LT_dispatchMessage(r, content);
+
+        console.log(`💌 Admin send-now → ${r.name} (${delivery.ok ? "sent" : "failed"})`);
+
+        const recorded = await global.__LT_recordDelivery(r, content, delivery, { templateId, kind: "admin" });
+
+        return res.json({
+            success: delivery.ok,
+            queued: recorded.queued,
+            deferredUntil: delivery.ok ? null : deferredUntilOf(delivery),
+            results: delivery.results
+        });
+
+    } catch (err) {
+        console.error("❌ ADMIN SEND-NOW ERROR:", err);
+        return res.status(500).json({ error: "Failed to send now" });
+    }
+});
+
+/***************************************************************
+ *  LoveTextForHer — BACKEND (PART 6 OF 7)
+ *  ----------------------------------------------------------
+ *  Includes:
+ *      ✔ Email/SMS senders (using imports from Part 1)
+ *      ✔ Delivery channel registry (email, sms, …)
+ *      ✔ Customer cart
+ *      ✔ One-time Stripe merch checkout
+ *      ✔ Password reset system
+ ***************************************************************/
+
+/***************************************************************
+ *  BREVO EMAIL CLIENT SETUP (using imported brevo)
+ ***************************************************************/
+let brevoClient = null;
+
+if (process.env.BREVO_API_KEY) {
+    const apiInstance = new brevo.TransactionalEmailsApi();
+    const apiKey = apiInstance.authentications['apiKey'];
+    apiKey.apiKey = process.env.BREVO_API_KEY;
+    brevoClient = apiInstance;
+    console.log("📧 Brevo email service loaded");
+} else {
+    console.warn("⚠️  BREVO_API_KEY not found - email disabled");
+}
+
+/***************************************************************
+ *  UNIVERSAL EMAIL SENDER (BREVO VERSION)
+ *  sendEmailDetailed → { ok, providerMessageId, error }
+ *  __LT_sendEmail keeps the old true/false contract
+ ***************************************************************/
+async function sendEmailDetailed(to, subject, html, textVersion) {
+    if (!brevoClient) {
+        console.error("❌ Brevo not configured");
+        return { ok: false, providerMessageId: null, error: "Brevo not configured" };
+    }
+
+    try {
+        console.log(`📧 Attempting to send email to ${to}`);
+        console.log(`📧 From: ${process.env.FROM_EMAIL}`);
+        
+        const sendSmtpEmail = new brevo.SendSmtpEmail();
+        
+        sendSmtpEmail.sender = { 
+            email: process.env.FROM_EMAIL,
+            name: process.env.FROM_NAME || "LoveTextForHer"
+        };
+        
+        sendSmtpEmail.to = [{ email: to }];
+        sendSmtpEmail.subject = subject;
+        sendSmtpEmail.htmlContent = html;
+        sendSmtpEmail.textContent = textVersion || "";
+
+        const result = await brevoClient.sendTransacEmail(sendSmtpEmail);
+
+        // Stored without <> so webhook events can be matched on it
+        const messageId = (result?.messageId || result?.body?.messageId || "")
+            .replace(/^<|>$/g, "") || null;
+        
+        console.log(`✅ Email sent successfully:`, messageId);
+        return { ok: true, providerMessageId: messageId, error: null };
+        
+    } catch (err) {
+        console.error("❌ EMAIL SEND ERROR:", err);
+        
+        if (err.response) {
+            console.error("❌ Brevo Error Response:", {
+                statusCode: err.response.status,
+                body: err.response.body
+            });
+        }
+        
+        return {
+            ok: false,
+            providerMessageId: null,
+            error: err.response?.body?.message || err.message || "Email send failed"
+        };
+    }
+}
+
+global.__LT_sendEmail = async function (to, subject, html, textVersion) {
+    const result = await sendEmailDetailed(to, subject, html, textVersion);
+    return result.ok;
+};
+
+/***************************************************************
+ *  TWILIO SMS CLIENT SETUP (using imported twilio)
+ ***************************************************************/
+let twilioClient = null;
+if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    twilioClient = twilio(
+        process.env.TWILIO_ACCOUNT_SID,
+        process.env.TWILIO_AUTH_TOKEN
+    );
+    console.log("📱 Twilio SMS loaded");
+}
+
+/***************************************************************
+ *  UNIVERSAL SMS SENDER
+ *  sendSMSDetailed → { ok, providerMessageId, error }
+ *  __LT_sendSMS keeps the old true/false contract
+ ***************************************************************/
+async function sendSMSDetailed(to, message) {
+    if (!twilioClient) {
+        console.error("❌ Twilio not configured");
+        return { ok: false, providerMessageId: null, error: "Twilio not configured" };
+    }
+    
+    try {
+        const sms = await twilioClient.messages.create({
+            body: message,
+            from: process.env.TWILIO_PHONE_NUMBER,
+            to: to,
+            // Twilio reports delivered/undelivered/failed here later
+            ...(process.env.BASE_URL && { statusCallback: twilioStatusCallbackURL() })
+        });
+        console.log(`📱 SMS sent to ${to}`);
+        return { ok: true, providerMessageId: sms.sid || null, error: null };
+    } catch (err) {
+        console.error("❌ SMS SEND ERROR:", err);
+        return {
+            ok: false,
+            providerMessageId: null,
+            errorCode: err.code ? String(err.code) : null,
+            error: err.code ? `${err.code}: ${err.message}` : (err.message || "SMS send failed")
+        };
+    }
+}
+
+function twilioStatusCallbackURL() {
+    return `${process.env.BASE_URL}/api/twilio/status-callback`;
+}
+
+/***************************************************************
+ *  PHONE NUMBERS — stored and compared as E.164
+ *  Twilio sends From as E.164 (+15551234567), so recipients'
+ *  numbers and SMS suppressions are kept in the same form.
+ *  Numbers without a country code are taken as US/Canada (+1).
+ ***************************************************************/
+const DEFAULT_COUNTRY_CODE = "1";
+
+// E.164 string, or null when the input can't be a phone number
+function normalizePhoneNumber(input) {
+    if (input === undefined || input === null) return null;
+
+    const raw = String(input).trim();
+    const digits = raw.replace(/\D/g, "");
+
+    let e164;
+    if (raw.startsWith("+")) e164 = `+${digits}`;
+    else if (digits.length === 10) e164 = `+${DEFAULT_COUNTRY_CODE}${digits}`;
+    else if (digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE)) e164 = `+${digits}`;
+    else return null;
+
+    return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : null;
+}
+
+/***************************************************************
+ *  SMS NUMBER FLAGGING
+ *  Numbers Twilio can never deliver to (landlines, invalid or
+ *  opted-out numbers) are flagged on the first failure; anything
+ *  else after SMS_FAILURE_FLAG_THRESHOLD failures in a row. The
+ *  sms channel skips flagged numbers until the phone is changed.
+ ***************************************************************/
+const SMS_FAILURE_FLAG_THRESHOLD = 3;
+
+const SMS_PERMANENT_ERROR_CODES = {
+    "21211": "invalid",       // Invalid 'To' phone number
+    "21614": "landline",      // 'To' number is not a valid mobile number
+    "21610": "opted_out",     // Recipient replied STOP to our number
+    "30005": "invalid",       // Unknown destination handset
+    "30006": "landline"       // Landline or unreachable carrier
+};
+
+const SMS_FLAG_LABELS = {
+    invalid: "invalid number",
+    landline: "landline / not a mobile number",
+    opted_out: "number opted out with STOP",
+    repeated_failures: "repeated delivery failures"
+};
+
+async function recordSmsFailure(recipientId, errorCode) {
+    const permanent = SMS_PERMANENT_ERROR_CODES[String(errorCode || "")];
+
+    const q = await global.__LT_pool.query(
+        `UPDATE users SET sms_failure_count = sms_failure_count + 1
+         WHERE id=$1
+         RETURNING id, name, phone_number, customer_id, sms_failure_count, sms_flagged_reason`,
+        [recipientId]
+    );
+
+    const r = q.rows[0];
+    if (!r || r.sms_flagged_reason) return null;
+
+    const reason = permanent
+        || (r.sms_failure_count >= SMS_FAILURE_FLAG_THRESHOLD ? "repeated_failures" : null);
+    if (!reason) return null;
+
+    await global.__LT_pool.query(
+        "UPDATE users SET sms_flagged_reason=$2, sms_flagged_at=NOW() WHERE id=$1",
+        [r.id, reason]
+    );
+
+    await global.__LT_logAuditEvent(
+        'message',
+        'Recipient SMS Flagged',
+        `Stopped texting ${r.name}: ${SMS_FLAG_LABELS[reason]}`,
+        {
+            customerId: r.customer_id,
+            extra: { recipientId: r.id, phone: r.phone_number, reason, errorCode, failures: r.sms_failure_count }
+        }
+    );
+
+    console.log(`🚩 SMS number flagged (${reason}): ${r.name} ${r.phone_number}`);
+    return reason;
+}
+
+async function recordSmsDelivered(recipientId) {
+    await global.__LT_pool.query(
+        "UPDATE users SET sms_failure_count=0 WHERE id=$1 AND sms_failure_count <> 0",
+        [recipientId]
+    );
+}
+
+global.__LT_sendSMS = async function (to, message) {
+    const result = await sendSMSDetailed(to, message);
+    return result.ok;
+};
+
+/***************************************************************
+ *  SUPPRESSION LIST
+ *  Addresses whose owner opted out, keyed by channel + normalized
+ *  address so it survives the recipient row being edited,
+ *  deleted or re-added by any customer. sendOnChannel checks it
+ *  on every send and the add/edit recipient routes refuse
+ *  suppressed addresses.
+ ***************************************************************/
+const SUPPRESSION_ADDRESSES = {
+    email: (recipient) => recipient.email,
+    sms: (recipient) => recipient.phone_number
+};
+
+function normalizeSuppressionAddress(channel, address) {
+    if (!address) return null;
+    return channel === "sms"
+        ? normalizePhoneNumber(address)
+        : String(address).trim().toLowerCase();
+}
+
+async function suppressAddress(channel, address, reason, { recipientId = null, customerId = null } = {}) {
+    const normalized = normalizeSuppressionAddress(channel, address);
+    if (!normalized) return;
+
+    await global.__LT_pool.query(
+        `INSERT INTO suppressions (channel, address, reason, recipient_id, customer_id)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (channel, address) DO NOTHING`,
+        [channel, normalized, reason, recipientId, customerId]
+    );
+}
+
+async function liftSuppression(channel, address) {
+    const normalized = normalizeSuppressionAddress(channel, address);
+    if (!normalized) return;
+
+    await global.__LT_pool.query(
+        "DELETE FROM suppressions WHERE channel=$1 AND address=$2",
+        [channel, normalized]
+    );
+}
+
+async function isSuppressed(channel, address) {
+    const normalized = normalizeSuppressionAddress(channel, address);
+    if (!normalized) return false;
+
+    const q = await global.__LT_pool.query(
+        "SELECT 1 FROM suppressions WHERE channel=$1 AND address=$2",
+        [channel, normalized]
+    );
+    return q.rows.length > 0;
+}
+
+// Error for the add/edit recipient routes, or null when both addresses are allowed
+async function suppressedAddressError(email, phone) {
+    if (await isSuppressed("email", email))
+        return "This email address has unsubscribed from LoveTextForHer and can't be added.";
+
+    if (await isSuppressed("sms", phone))
+        return "This phone number has unsubscribed from LoveTextForHer and can't be added.";
+
+    return null;
+}
+
+/***************************************************************
+ *  OPT OUT RECIPIENT
+ *  An opt-out that covers email (unsubscribe link, preference
+ *  center) stops the recipient entirely: the row is marked opted
+ *  out (kept for the sender's history) and can't be edited.
+ *  An SMS STOP only drops texting: the number is flagged, email
+ *  keeps going, and an SMS-only recipient is paused until the
+ *  customer switches them to email or they text START.
+ *  Either way the channels are suppressed and the customer told.
+ ***************************************************************/
+async function optOutRecipient(recipient, reason, channels) {
+    if (channels.includes("email")) {
+        await global.__LT_pool.query(
+            `UPDATE users
+             SET is_active=false, paused_reason=$2, paused_at=NOW(), paused_until=NULL,
+                 opted_out_at=NOW()
+             WHERE id=$1`,
+            [recipient.id, reason]
+        );
+    } else {
+        await global.__LT_pool.query(
+            `UPDATE users
+             SET sms_flagged_reason='opted_out', sms_flagged_at=NOW(),
+                 is_active=CASE WHEN delivery_method='sms' THEN false ELSE is_active END,
+                 -- Keep an earlier pause (e.g. hard_bounce) so START can't
+                 -- undo it; STOP only replaces the recipient's own break
+                 paused_reason=CASE WHEN delivery_method='sms'
+                                     AND (paused_reason IS NULL OR paused_reason='recipient_pause')
+                                    THEN $2 ELSE paused_reason END,
+                 paused_at=CASE WHEN delivery_method='sms'
+                                 AND (paused_reason IS NULL OR paused_reason='recipient_pause')
+                                THEN NOW() ELSE paused_at END,
+                 paused_until=CASE WHEN delivery_method='sms' AND paused_reason='recipient_pause'
+                                   THEN NULL ELSE paused_until END
+             WHERE id=$1`,
+            [recipient.id, reason]
+        );
+    }
+
+    for (const channel of channels) {
+        await suppressAddress(channel, SUPPRESSION_ADDRESSES[channel](recipient), reason, {
+            recipientId: recipient.id,
+            customerId: recipient.customer_id
+        });
+    }
+
+    await global.__LT_logAuditEvent(
+        'message',
+        'Recipient Opted Out',
+        `${recipient.name} unsubscribed (${reason.replace("_", " ")})`,
+        {
+            customerId: recipient.customer_id,
+            extra: { recipientId: recipient.id, reason, channels }
+        }
+    );
+
+    await notifyCustomerOfOptOut(recipient, channels);
+}
+
+async function notifyCustomerOfOptOut(recipient, channels) {
+    const customerQ = await global.__LT_pool.query(
+        "SELECT email, name FROM customers WHERE id=$1",
+        [recipient.customer_id]
+    );
+
+    const customer = customerQ.rows[0];
+    if (!customer) return;
+
+    const what = channels.includes("email") && channels.includes("sms")
+        ? "all messages"
+        : (channels.includes("sms") ? "text messages" : "emails");
+
+    const outcome = channels.includes("email")
+        ? "so we've stopped their messages. Your message history with them is kept in your dashboard."
+        : "so we've stopped texting them. Emails still go out if they have an address on file, and you can switch them to email delivery from your dashboard.";
+
+    const html = `
+        <div style="font-family:Arial;padding:20px;max-width:600px;margin:auto;">
+            <h2 style="color:#d6336c;">${escapeHtml(recipient.name)} has unsubscribed</h2>
+            <p>Hi ${escapeHtml(customer.name || "there")},</p>
+            <p>
+                ${escapeHtml(recipient.name)} asked to stop receiving ${what} from LoveTextForHer,
+                ${outcome}
+            </p>
+            <p style="color:#666;font-size:14px;">
+                To respect their choice, ${channels.includes("email") ? "this address" : "this number"} can't be re-added.
+            </p>
+        </div>
+    `;
+
+    await global.__LT_sendEmail(
+        customer.email,
+        `${recipient.name} unsubscribed from your messages`,
+        html,
+        `${recipient.name} asked to stop receiving ${what} from LoveTextForHer, ${outcome}`
+    );
+}
+
+global.__LT_isSuppressed = isSuppressed;
+global.__LT_suppressAddress = suppressAddress;
+global.__LT_optOutRecipient = optOutRecipient;
+
+/***************************************************************
+ *  DELIVERY CHANNEL REGISTRY
+ *  A channel is { name, accepts(recipient), send(recipient, content) }
+ *  where content = { subject, message, vars } and send resolves to
+ *  { ok, providerMessageId, error }. The cron, admin send-now,
+ *  special dates and flowers all go through dispatchMessage, so a
+ *  new channel only needs registerChannel + a delivery_method.
+ ***************************************************************/
+const DELIVERY_CHANNELS = new Map();
+
+// delivery_method → channels it fans out to
+const DELIVERY_METHOD_CHANNELS = {
+    email: ["email"],
+    sms: ["sms"],
+    both: ["email", "sms"]
+};
+
+function registerChannel(channel) {
+    if (!channel?.name || typeof channel.send !== "function") {
+        throw new Error("Delivery channel needs a name and a send() function");
+    }
+    DELIVERY_CHANNELS.set(channel.name, channel);
+}
+
+function isDeliveryMethod(method) {
+    return Boolean(DELIVERY_METHOD_CHANNELS[method]) || DELIVERY_CHANNELS.has(method);
+}
+
+function channelsFor(recipient) {
+    const method = recipient.delivery_method || "email";
+    return DELIVERY_METHOD_CHANNELS[method] || (DELIVERY_CHANNELS.has(method) ? [method] : ["email"]);
+}
+
+async function sendOnChannel(recipient, name, content, { respectQuietHours = false } = {}) {
+    const channel = DELIVERY_CHANNELS.get(name);
+
+    if (!channel) {
+        return { channel: name, ok: false, skipped: false, providerMessageId: null, error: "Unknown channel" };
+    }
+
+    // e.g. SMS chosen but no phone on file
+    if (channel.accepts && !channel.accepts(recipient)) {
+        return { channel: name, ok: false, skipped: true, providerMessageId: null, error: null };
+    }
+
+    if (recipient.consent_status === "pending") {
+        return { channel: name, ok: false, skipped: true, providerMessageId: null, error: "Awaiting recipient confirmation" };
+    }
+
+    const address = SUPPRESSION_ADDRESSES[name]?.(recipient);
+    if (address && await isSuppressed(name, address)) {
+        return { channel: name, ok: false, skipped: true, providerMessageId: null, error: "Recipient unsubscribed" };
+    }
+
+    // Quiet hours / SMS window: recordDelivery queues it for then
+    const deferTo = respectQuietHours && deferUntil(recipient, new Date(), [name]);
+    if (deferTo) {
+        return { channel: name, ok: false, skipped: false, providerMessageId: null, error: "Deferred for quiet hours", deferredUntil: deferTo };
+    }
+
+    try {
+        const result = await channel.send(recipient, content);
+        return { channel: name, skipped: false, providerMessageId: null, error: null, ...result };
+    } catch (err) {
+        console.error(`❌ ${name.toUpperCase()} CHANNEL ERROR:`, err);
+        return { channel: name, ok: false, skipped: false, providerMessageId: null, error: err.message };
+    }
+}
+
+async function dispatchMessage(recipient, content) {
+    const results = [];
+
+    for (const name of channelsFor(recipient)) {
+        results.push(await sendOnChannel(recipient, name, content, { respectQuietHours: true }));
+    }
+
+    return { ok: results.some(r => r.ok), results };
+}
+
+// Error for an instant send (flowers, admin send-now) to a recipient
+// the scheduler wouldn't message either, or null when they're active
+function inactiveRecipientError(r) {
+    if (r.opted_out_at) return "This recipient unsubscribed";
+    if (!r.is_active) return "This recipient is paused, so nothing can be sent right now";
+    return null;
+}
+
+// Earliest time a quiet-hours channel of this dispatch will go out, or null
+function deferredUntilOf(delivery) {
+    const times = delivery.results
+        .filter(result => result.deferredUntil)
+        .map(result => result.deferredUntil.getTime());
+
+    return times.length ? new Date(Math.min(...times)) : null;
+}
+
+function unsubscribeURLFor(recipient) {
+    return `${process.env.BASE_URL}/unsubscribe.html?token=${recipient.unsubscribe_token}`;
+}
+
+function preferencesURLFor(recipient) {
+    return `${process.env.BASE_URL}/preferences.html?token=${recipient.unsubscribe_token}`;
+}
+
+registerChannel({
+    name: "email",
+    accepts: (recipient) => Boolean(recipient.email),
+    async send(recipient, { subject, message, vars, icon, gift }) {
+        const unsubscribeURL = unsubscribeURLFor(recipient);
+        const html = gift
+            ? global.__LT_buildGiftEmailHTML(gift, unsubscribeURL, preferencesURLFor(recipient))
+            : global.__LT_buildLoveEmailHTML(
+                recipient.name,
+                message,
+                unsubscribeURL,
+                vars,
+                preferencesURLFor(recipient),
+                icon
+            );
+
+        return sendEmailDetailed(
+            recipient.email,
+            subject,
+            html,
+            message +
+                (gift ? "\n\nOpen your card: " + global.__LT_giftURLFor(gift.token) : "") +
+                "\n\nUnsubscribe: " + unsubscribeURL +
+                "\nPause or get fewer messages: " + preferencesURLFor(recipient)
+        );
+    }
+});
+
+registerChannel({
+    name: "sms",
+    accepts: (recipient) => Boolean(recipient.phone_number),
+    async send(recipient, { message, gift }) {
+        if (recipient.sms_flagged_reason) {
+            return {
+                ok: false,
+                skipped: true,
+                error: `Number flagged: ${SMS_FLAG_LABELS[recipient.sms_flagged_reason] || recipient.sms_flagged_reason}`
+            };
+        }
+
+        const cardLink = gift ? `\n\nOpen your card: ${global.__LT_giftURLFor(gift.token)}` : "";
+        const result = await sendSMSDetailed(recipient.phone_number, `${message}${cardLink}\n\nReply STOP to unsubscribe`);
+
+        // Bad numbers rejected up front never reach the status callback,
+        // and retrying them is pointless — skipped keeps them out of the queue
+        if (!result.ok && SMS_PERMANENT_ERROR_CODES[result.errorCode]) {
+            if (recipient.id) await recordSmsFailure(recipient.id, result.errorCode);
+            return { ...result, skipped: true };
+        }
+
+        return result;
+    }
+});
+
+global.__LT_registerChannel = registerChannel;
+global.__LT_dispatchMessage = dispatchMessage;
+global.__LT_isDeliveryMethod = isDeliveryMethod;
+
+/***************************************************************
+ *  OUTBOUND RETRY QUEUE
+ *  A channel that fails (not skipped) gets an outbound_jobs row
+ *  and its message_logs row goes to 'queued'. The minute cron
+ *  retries due jobs with exponential backoff; after
+ *  RETRY_MAX_ATTEMPTS the job is dead-lettered for an admin to
+ *  requeue or discard from admin_message_logs.html.
+ ***************************************************************/
+const RETRY_MAX_ATTEMPTS = 6;                      // including the first send
+const RETRY_BASE_DELAY_MS = 60 * 1000;             // 1m, 2m, 4m, 8m, 16m …
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const RETRY_LEASE_MINUTES = 5;
+const RETRY_BATCH_SIZE = 25;
+
+function retryDelayMs(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+}
+
+// Logs every channel result and queues retries for the failed ones
+async function recordDelivery(recipient, content, delivery, { templateId = null, kind = "scheduled", payload = null } = {}) {
+    const rows = await global.__LT_logMessage(
+        recipient.customer_id,
+        recipient.id,
+        recipient.email,
+        content.message,
+        templateId,
+        delivery,
+        kind,
+        payload
+    );
+
+    const retryable = delivery.results
+        .map((result, i) => ({ result, log: rows[i] }))
+        .filter(({ result, log }) => log && !result.ok && !result.skipped);
+
+    for (const { result, log } of retryable) {
+        try {
+            await global.__LT_pool.query(
+                `INSERT INTO outbound_jobs
+                    (recipient_id, customer_id, message_log_id, kind, channel, payload,
+                     attempts, max_attempts, next_attempt_at, last_error)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+                [
+                    recipient.id,
+                    recipient.customer_id,
+                    log.id,
+                    kind,
+                    result.channel,
+                    JSON.stringify(content),
+                    result.deferredUntil ? 0 : 1,
+                    RETRY_MAX_ATTEMPTS,
+                    result.deferredUntil || new Date(Date.now() + retryDelayMs(1)),
+                    result.error
+                ]
+            );
+
+            await global.__LT_pool.query(
+                "UPDATE message_logs SET status='queued', status_updated_at=NOW() WHERE id=$1",
+                [log.id]
+            );
+
+            console.log(result.deferredUntil
+                ? `🌙 ${result.channel} delivery to ${recipient.name} queued for ${result.deferredUntil.toISOString()} (quiet hours)`
+                : `🔁 ${result.channel} delivery to ${recipient.name} queued for retry`);
+        } catch (err) {
+            console.error("❌ RETRY QUEUE ERROR:", err);
+        }
+    }
+
+    return { ...delivery, queued: retryable.length > 0 };
+}
+
+async function processRetryQueue() {
+    // Claim due jobs (and ones whose worker died mid-send)
+    const claimed = await global.__LT_pool.query(
+        `UPDATE outbound_jobs
+         SET status='processing', locked_until=NOW() + make_interval(mins => $1), updated_at=NOW()
+         WHERE id IN (
+             SELECT id FROM outbound_jobs
+             WHERE (status='pending' AND next_attempt_at <= NOW())
+                OR (status='processing' AND locked_until < NOW())
+             ORDER BY next_attempt_at
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [RETRY_LEASE_MINUTES, RETRY_BATCH_SIZE]
+    );
+
+    for (const job of claimed.rows) {
+        try {
+            const recipientQ = await global.__LT_pool.query(
+                "SELECT * FROM users WHERE id=$1",
+                [job.recipient_id]
+            );
+            const recipient = recipientQ.rows[0];
+
+            if (!recipient || !recipient.is_active) {
+                await global.__LT_pool.query(
+                    `UPDATE outbound_jobs
+                     SET status='discarded', last_error='Recipient inactive', locked_until=NULL, updated_at=NOW()
+                     WHERE id=$1`,
+                    [job.id]
+                );
+                await global.__LT_pool.query(
+                    `UPDATE message_logs SET status='failed', error='Recipient inactive', status_updated_at=NOW()
+                     WHERE id=$1`,
+                    [job.message_log_id]
+                );
+                continue;
+            }
+
+            // Don't retry an SMS into quiet hours — push the job instead
+            const deferTo = deferUntil(recipient, new Date(), [job.channel]);
+            if (deferTo) {
+                await global.__LT_pool.query(
+                    `UPDATE outbound_jobs
+                     SET status='pending', next_attempt_at=$2, locked_until=NULL, updated_at=NOW()
+                     WHERE id=$1`,
+                    [job.id, deferTo]
+                );
+                continue;
+            }
+
+            const attempts = job.attempts + 1;
+            const result = await sendOnChannel(recipient, job.channel, job.payload);
+
+            if (result.ok) {
+                await global.__LT_pool.query(
+                    `UPDATE outbound_jobs
+                     SET status='sent', attempts=$2, last_error=NULL, locked_until=NULL, updated_at=NOW()
+                     WHERE id=$1`,
+                    [job.id, attempts]
+                );
+                await global.__LT_pool.query(
+                    `UPDATE message_logs
+                     SET status='sent', provider_message_id=$2, error=NULL, attempts=$3, status_updated_at=NOW()
+                     WHERE id=$1`,
+                    [job.message_log_id, result.providerMessageId, attempts]
+                );
+                console.log(`✅ Retry #${attempts} delivered ${job.channel} → ${recipient.name}`);
+                continue;
+            }
+
+            const error = result.skipped ? result.error || `No ${job.channel} address on file` : result.error;
+            const dead = result.skipped || attempts >= job.max_attempts;
+
+            await global.__LT_pool.query(
+                `UPDATE outbound_jobs
+                 SET status=$2, attempts=$3, last_error=$4, next_attempt_at=$5,
+                     locked_until=NULL, updated_at=NOW()
+                 WHERE id=$1`,
+                [
+                    job.id,
+                    dead ? "dead" : "pending",
+                    attempts,
+                    error,
+                    new Date(Date.now() + retryDelayMs(attempts))
+                ]
+            );
+            await global.__LT_pool.query(
+                `UPDATE message_logs
+                 SET status=$2, error=$3, attempts=$4, status_updated_at=NOW()
+                 WHERE id=$1`,
+                [job.message_log_id, dead ? "failed" : "queued", error, attempts]
+            );
+
+            console.log(dead
+                ? `☠️  ${job.channel} delivery to ${recipient.name} dead-lettered after ${attempts} attempts`
+                : `🔁 ${job.channel} retry #${attempts} failed for ${recipient.name}, backing off`);
+
+        } catch (err) {
+            console.error("❌ Error processing retry job:", err);
+        }
+    }
+}
+
+global.__LT_recordDelivery = recordDelivery;
+global.__LT_processRetryQueue = processRetryQueue;
+
+/***************************************************************
+ *  ADMIN — DEAD-LETTERED DELIVERIES
+ ***************************************************************/
+app.get("/api/admin/outbound-jobs", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const status = ["pending", "processing", "sent", "dead", "discarded"].includes(req.query.status)
+            ? req.query.status
+            : "dead";
 
         const q = await global.__LT_pool.query(
-            "SELECT * FROM users WHERE id=$1",
-            [rid]
+            `SELECT j.id, j.kind, j.channel, j.status, j.attempts, j.max_attempts,
+                    j.next_attempt_at, j.last_error, j.created_at, j.updated_at,
+                    j.payload->>'message' AS message, j.message_log_id,
+                    u.id AS recipient_id, u.name AS recipient_name, u.email AS recipient_email,
+                    u.phone_number AS recipient_phone, c.email AS customer_email
+             FROM outbound_jobs j
+             JOIN users u ON j.recipient_id = u.id
+             JOIN customers c ON j.customer_id = c.id
+             WHERE j.status=$1
+             ORDER BY j.updated_at DESC
+             LIMIT 200`,
+            [status]
+        );
+
+        return res.json({ success: true, jobs: q.rows });
+
+    } catch (err) {
+        console.error("ADMIN OUTBOUND JOBS ERROR:", err);
+        return res.status(500).json({ error: "Server error loading failed deliveries" });
+    }
+});
+
+app.post("/api/admin/outbound-jobs/:id/requeue", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const q = await global.__LT_pool.query(
+            `UPDATE outbound_jobs
+             SET status='pending', attempts=0, next_attempt_at=NOW(), locked_until=NULL, updated_at=NOW()
+             WHERE id=$1 AND status IN ('dead', 'discarded')
+             RETURNING id, message_log_id, channel, recipient_id`,
+            [req.params.id]
+        );
+
+        if (!q.rows.length)
+            return res.status(404).json({ error: "Job not found or not dead-lettered" });
+
+        const job = q.rows[0];
+
+        await global.__LT_pool.query(
+            "UPDATE message_logs SET status='queued', status_updated_at=NOW() WHERE id=$1",
+            [job.message_log_id]
+        );
+
+        await global.__LT_logAuditEvent(
+            'admin',
+            'Delivery Requeued',
+            `Requeued ${job.channel} delivery job #${job.id}`,
+            {
+                adminEmail: req.admin.email,
+                adminId: req.admin.id,
+                extra: { jobId: job.id, recipientId: job.recipient_id }
+            }
         );
 
-        if (!q.rows.length)
-            return res.status(404).json({ error: "Recipient not found" });
-
-        const r = q.rows[0];
+        return res.json({ success: true });
 
-        const message = global.__LT_buildMessage(r.name, r.relationship);
+    } catch (err) {
+        console.error("ADMIN REQUEUE ERROR:", err);
+        return res.status(500).json({ error: "Server error requeueing delivery" });
+    }
+});
 
-        // SEND EMAIL
-        if (!r.delivery_method || r.delivery_method === "email" || r.delivery_method === "both") {
-            const unsubscribeURL =
-                `${process.env.BASE_URL}/unsubscribe.html?token=${r.unsubscribe_token}`;
+app.post("/api/admin/outbound-jobs/:id/discard", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const q = await global.__LT_pool.query(
+            `UPDATE outbound_jobs
+             SET status='discarded', locked_until=NULL, updated_at=NOW()
+             WHERE id=$1 AND status IN ('dead', 'pending')
+             RETURNING id, message_log_id, channel, recipient_id`,
+            [req.params.id]
+        );
 
-            const html = global.__LT_buildLoveEmailHTML(r.name, message, unsubscribeURL);
+        if (!q.rows.length)
+            return res.status(404).json({ error: "Job not found or already finished" });
 
-            await global.__LT_sendEmail(
-                r.email,
-                "Your Love Message ❤️",
-                html,
-                message + "\n\nUnsubscribe: " + unsubscribeURL
-            );
-            
-            console.log(`💌 Admin email sent to ${r.email}`);
-        }
+        const job = q.rows[0];
 
-        // SEND SMS
-        if ((r.delivery_method === "sms" || r.delivery_method === "both") && r.phone_number) {
-            const smsMessage = `${message}\n\nReply STOP to unsubscribe`;
-            await global.__LT_sendSMS(r.phone_number, smsMessage);
-            console.log(`📱 Admin SMS sent to ${r.phone_number}`);
-        }
+        await global.__LT_pool.query(
+            "UPDATE message_logs SET status='failed', status_updated_at=NOW() WHERE id=$1",
+            [job.message_log_id]
+        );
 
-        await global.__LT_logMessage(r.customer_id, r.id, r.email, message);
+        await global.__LT_logAuditEvent(
+            'admin',
+            'Delivery Discarded',
+            `Discarded ${job.channel} delivery job #${job.id}`,
+            {
+                adminEmail: req.admin.email,
+                adminId: req.admin.id,
+                extra: { jobId: job.id, recipientId: job.recipient_id }
+            }
+        );
 
         return res.json({ success: true });
 
     } catch (err) {
-        console.error("❌ ADMIN SEND-NOW ERROR:", err);
-        return res.status(500).json({ error: "Failed to send now" });
+        console.error("ADMIN DISCARD ERROR:", err);
+        return res.status(500).json({ error: "Server error discarding delivery" });
     }
 });
 
 /***************************************************************
- *  LoveTextForHer — BACKEND (PART 6 OF 7)
- *  ----------------------------------------------------------
- *  Includes:
- *      ✔ Email/SMS senders (using imports from Part 1)
- *      ✔ Customer cart
- *      ✔ One-time Stripe merch checkout
- *      ✔ Password reset system
+ *  ADMIN — LEGAL SMS SENDING WINDOW
+ *  Stored in app_settings; the scheduler reloads it every run.
  ***************************************************************/
+app.get("/api/admin/settings/sms-window", global.__LT_authAdmin, async (req, res) => {
+    try {
+        return res.json(await loadSmsWindow());
+    } catch (err) {
+        console.error("ADMIN SMS WINDOW ERROR:", err);
+        return res.status(500).json({ error: "Server error loading SMS window" });
+    }
+});
 
-/***************************************************************
- *  BREVO EMAIL CLIENT SETUP (using imported brevo)
- ***************************************************************/
-let brevoClient = null;
+app.put("/api/admin/settings/sms-window", global.__LT_authAdmin, async (req, res) => {
+    try {
+        const enabled = req.body.enabled !== false;
+        const { start, end } = req.body;
 
-if (process.env.BREVO_API_KEY) {
-    const apiInstance = new brevo.TransactionalEmailsApi();
-    const apiKey = apiInstance.authentications['apiKey'];
-    apiKey.apiKey = process.env.BREVO_API_KEY;
-    brevoClient = apiInstance;
-    console.log("📧 Brevo email service loaded");
-} else {
-    console.warn("⚠️  BREVO_API_KEY not found - email disabled");
-}
+        if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || ""))
+            return res.status(400).json({ error: "Start and end must be HH:MM" });
 
-/***************************************************************
- *  UNIVERSAL EMAIL SENDER (BREVO VERSION)
- ***************************************************************/
-global.__LT_sendEmail = async function (to, subject, html, textVersion) {
-    if (!brevoClient) {
-        console.error("❌ Brevo not configured");
-        return false;
-    }
+        if (minutesOfDay(start) >= minutesOfDay(end))
+            return res.status(400).json({ error: "The window must start before it ends" });
 
-    try {
-        console.log(`📧 Attempting to send email to ${to}`);
-        console.log(`📧 From: ${process.env.FROM_EMAIL}`);
-        
-        const sendSmtpEmail = new brevo.SendSmtpEmail();
-        
-        sendSmtpEmail.sender = { 
-            email: process.env.FROM_EMAIL,
-            name: process.env.FROM_NAME || "LoveTextForHer"
-        };
-        
-        sendSmtpEmail.to = [{ email: to }];
-        sendSmtpEmail.subject = subject;
-        sendSmtpEmail.htmlContent = html;
-        sendSmtpEmail.textContent = textVersion || "";
+        const before = await loadSmsWindow();
+        const value = { enabled, start, end };
 
-        const result = await brevoClient.sendTransacEmail(sendSmtpEmail);
-        
-        console.log(`✅ Email sent successfully:`, result.messageId);
-        return true;
-        
-    } catch (err) {
-        console.error("❌ EMAIL SEND ERROR:", err);
-        
-        if (err.response) {
-            console.error("❌ Brevo Error Response:", {
-                statusCode: err.response.status,
-                body: err.response.body
-            });
-        }
-        
-        return false;
-    }
-};
+        await global.__LT_pool.query(
+            `INSERT INTO app_settings (key, value, updated_at, updated_by)
+             VALUES ('sms_window', $1, NOW(), $2)
+             ON CONFLICT (key) DO UPDATE
+             SET value=EXCLUDED.value, updated_at=NOW(), updated_by=EXCLUDED.updated_by`,
+            [JSON.stringify(value), req.admin.id]
+        );
 
-/***************************************************************
- *  TWILIO SMS CLIENT SETUP (using imported twilio)
- ***************************************************************/
-let twilioClient = null;
-if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-    twilioClient = twilio(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
-    );
-    console.log("📱 Twilio SMS loaded");
-}
+        await loadSmsWindow();
+
+        await global.__LT_logAuditEvent(
+            'admin',
+            'SMS Window Updated',
+            enabled ? `SMS window set to ${start}–${end} local time` : "SMS window disabled",
+            {
+                adminEmail: req.admin.email,
+                adminId: req.admin.id,
+                extra: { from: before, to: value }
+            }
+        );
+
+        return res.json({ success: true, ...value });
 
-/***************************************************************
- *  UNIVERSAL SMS SENDER
- ***************************************************************/
-global.__LT_sendSMS = async function (to, message) {
-    if (!twilioClient) {
-        console.error("❌ Twilio not configured");
-        return false;
-    }
-    
-    try {
-        await twilioClient.messages.create({
-            body: message,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: to
-        });
-        console.log(`📱 SMS sent to ${to}`);
-        return true;
     } catch (err) {
-        console.error("❌ SMS SEND ERROR:", err);
-        return false;
+        console.error("ADMIN SMS WINDOW UPDATE ERROR:", err);
+        return res.status(500).json({ error: "Server error saving SMS window" });
     }
-};
+});
+
 
 /***************************************************************
  *  GET CART ITEMS
@@ -2438,210 +5825,502 @@ app.post("/api/stripe/merch-checkout", global.__LT_authCustomer, async (req, res
             metadata: { customer_id: req.user.id }
         });
 
-        // clear cart after checkout session is created
-        await global.__LT_pool.query(
-            "UPDATE carts SET items='[]' WHERE customer_id=$1",
-            [req.user.id]
-        );
+        // clear cart after checkout session is created
+        await global.__LT_pool.query(
+            "UPDATE carts SET items='[]' WHERE customer_id=$1",
+            [req.user.id]
+        );
+
+        return res.json({ url: session.url });
+
+    } catch (err) {
+        console.error("❌ MERCH CHECKOUT ERROR:", err);
+        return res.status(500).json({ error: "Server error processing merch checkout" });
+    }
+});
+
+/***************************************************************
+ *  LoveTextForHer — BACKEND (PART 7 OF 7)
+ *  ----------------------------------------------------------
+ *  Includes:
+ *      ✔ Next delivery calculator
+ *      ✔ Scheduler run (cron lives in worker.js)
+ *      ✔ Automated message sender
+ *      ✔ Logging of sent messages
+ *      ✔ Server start
+ ***************************************************************/
+
+/***************************************************************
+ *  TIMEZONE-AWARE RECURRENCE ENGINE
+ *  Lives in recurrence.js (imported in Part 1) so it can be
+ *  unit tested without a database. Exported with the other
+ *  globals after the message builders.
+ ***************************************************************/
+
+/***************************************************************
+ *  SPECIAL DATES — birthdays, anniversaries, holidays
+ *  Resolved on the recipient's local calendar every year
+ ***************************************************************/
+const SPECIAL_DATE_KINDS = ["birthday", "anniversary", "holiday"];
+
+const SPECIAL_DATE_SUBJECTS = {
+    birthday: "Happy Birthday 🎂",
+    anniversary: "Happy Anniversary 💍",
+    holiday: "Thinking of You Today ❤️"
+};
+
+// Month is 0-based; floating holidays resolve per year
+const HOLIDAYS = {
+    "valentines-day": { label: "Valentine's Day", resolve: () => ({ month: 1, day: 14 }) },
+    "mothers-day":    { label: "Mother's Day",    resolve: year => nthWeekdayOfMonth(year, 4, 0, 2) },
+    "fathers-day":    { label: "Father's Day",    resolve: year => nthWeekdayOfMonth(year, 5, 0, 3) },
+    "christmas":      { label: "Christmas",       resolve: () => ({ month: 11, day: 25 }) },
+    "new-years-day":  { label: "New Year's Day",  resolve: () => ({ month: 0, day: 1 }) }
+};
+
+function nthWeekdayOfMonth(year, month, weekday, n) {
+    const first = moment.utc({ year, month, date: 1 });
+    const offset = (weekday - first.day() + 7) % 7;
+    return { month, day: 1 + offset + (n - 1) * 7 };
+}
+
+function specialDateLabel(row) {
+    if (row.label) return row.label;
+    if (row.kind === "holiday") return HOLIDAYS[row.holiday_key]?.label || "Holiday";
+    return row.kind === "birthday" ? "Birthday" : "Anniversary";
+}
+
+/**
+ * Local calendar day a special date falls on in the given year.
+ * Feb 29 dates fall back to Feb 28 outside leap years.
+ */
+function specialDateInYear(row, year, tz) {
+    let month, day;
+
+    if (row.kind === "holiday") {
+        const holiday = HOLIDAYS[row.holiday_key];
+        if (!holiday) return null;
+        ({ month, day } = holiday.resolve(year));
+    } else {
+        month = row.month - 1;
+        day = row.day;
+        if (month === 1 && day === 29 && !moment([year]).isLeapYear()) day = 28;
+    }
+
+    return moment.tz({ year, month, date: day }, tz);
+}
+
+/**
+ * Next occurrence of a special date as { date: "YYYY-MM-DD", daysUntil }.
+ */
+function nextSpecialDate(row, timezone, from = new Date()) {
+    const tz = timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    const today = moment(from).tz(tz).startOf("day");
+
+    let date = specialDateInYear(row, today.year(), tz);
+    if (date && date.isBefore(today)) date = specialDateInYear(row, today.year() + 1, tz);
+    if (!date) return { date: null, daysUntil: null };
+
+    return { date: date.format("YYYY-MM-DD"), daysUntil: date.diff(today, "days") };
+}
+
+/**
+ * Send special date messages that are due right now.
+ * Goes out once per year, at the start of the recipient's usual time.
+ * The year is claimed (compare-and-set on last_sent_year) before
+ * sending, so concurrent workers can't both send the same date.
+ */
+async function sendDueSpecialDates(now) {
+    const due = await global.__LT_pool.query(`
+        SELECT d.id AS special_date_id, d.kind, d.label, d.month, d.day,
+               d.holiday_key, d.last_sent_year,
+               u.*, c.has_subscription, c.subscription_end,
+               to_char(c.vacation_start, 'YYYY-MM-DD') AS vacation_start,
+               to_char(c.vacation_end, 'YYYY-MM-DD') AS vacation_end
+        FROM recipient_special_dates d
+        JOIN users u ON d.recipient_id = u.id
+        JOIN customers c ON u.customer_id = c.id
+        WHERE u.is_active = true
+          AND u.consent_status <> 'pending'
+          AND (d.last_sent_year IS NULL OR d.last_sent_year <= $1)
+    `, [now.getUTCFullYear()]);
+
+    for (const r of due.rows) {
+        try {
+            const tz = r.timezone && moment.tz.zone(r.timezone) ? r.timezone : DEFAULT_TIMEZONE;
+            const local = moment(now).tz(tz);
+            const date = specialDateInYear(r, local.year(), tz);
+
+            if (!date || !date.isSame(local, "day")) continue;
+            if (r.last_sent_year && r.last_sent_year >= local.year()) continue;
+
+            // Quiet hours / SMS window push the slot later in the day; if that
+            // spills into tomorrow, fall back to the day's first allowed minute
+            const dayStart = local.clone().startOf("day");
+            const slot = dayStart.clone().add(parseTiming(r.timings)?.start ?? 12 * 60, "minutes");
+            let sendAt = moment(deferUntil(r, slot) || slot).tz(tz);
+            if (!sendAt.isSame(local, "day")) {
+                sendAt = moment(deferUntil(r, dayStart) || dayStart).tz(tz);
+            }
+            if (local.isBefore(sendAt) || deferUntil(r, now)) continue;
+
+            const isActive = r.has_subscription ||
+                            (r.subscription_end && new Date(r.subscription_end) > now);
+            if (!isActive) continue;
+
+            if (vacationEndsAt(r, now)) continue;
+
+            const claim = await global.__LT_pool.query(
+                `UPDATE recipient_special_dates SET last_sent_year=$1
+                 WHERE id=$2 AND (last_sent_year IS NULL OR last_sent_year < $1)
+                 RETURNING id`,
+                [local.year(), r.special_date_id]
+            );
+            if (!claim.rows.length) continue;
+
+            const label = specialDateLabel(r);
+            const vars = await global.__LT_buildTemplateVars(r, { when: now, holiday: label });
+            const { message, templateId } = global.__LT_buildSpecialDateMessage(vars, r.kind);
+
+            const content = {
+                subject: SPECIAL_DATE_SUBJECTS[r.kind],
+                message,
+                vars
+            };
+            const delivery = await global.__LT_dispatchMessage(r, content);
+
+            await global.__LT_recordDelivery(r, content, delivery, { templateId, kind: "special-date" });
+
+            console.log(`🎉 ${label} message sent → ${r.name}`);
+
+        } catch (innerErr) {
+            console.error("❌ Error sending special date message:", innerErr);
+        }
+    }
+}
+
+/***************************************************************
+ *  QUIET HOURS & SMS SENDING WINDOW
+ *  Recipients can have quiet hours (HH:MM–HH:MM in their own
+ *  timezone, may wrap past midnight). SMS also only goes out
+ *  inside the admin-configured legal window (default 08:00–21:00
+ *  local). The scheduler defers a blocked slot to the next
+ *  allowed minute instead of dropping it; instant sends (flowers,
+ *  admin send-now) put the blocked channel on the retry queue
+ *  for that minute.
+ ***************************************************************/
+const DEFAULT_SMS_WINDOW = { enabled: true, start: "08:00", end: "21:00" };
+let smsWindow = { ...DEFAULT_SMS_WINDOW };
+
+function minutesOfDay(hhmm) {
+    const [h, m] = hhmm.split(":").map(Number);
+    return h * 60 + m;
+}
+
+// Error for a quiet-hours pair from the recipient forms, or null
+function validateQuietHours(start, end) {
+    if (!start && !end) return null;
+
+    if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || ""))
+        return "Quiet hours need a start and end time (HH:MM)";
+
+    if (start === end)
+        return "Quiet hours can't start and end at the same time";
+
+    return null;
+}
+
+async function loadSmsWindow() {
+    try {
+        const q = await global.__LT_pool.query(
+            "SELECT value FROM app_settings WHERE key='sms_window'"
+        );
+        smsWindow = { ...DEFAULT_SMS_WINDOW, ...(q.rows[0]?.value || {}) };
+    } catch (err) {
+        console.error("❌ SMS WINDOW LOAD ERROR:", err);
+    }
+    return smsWindow;
+}
+
+// Blocked local-time ranges as { start, end } minutes (end exclusive, may wrap)
+function blockedRanges(r, channels = channelsFor(r)) {
+    const ranges = [];
+
+    if (r.quiet_hours_start && r.quiet_hours_end) {
+        ranges.push({ start: minutesOfDay(r.quiet_hours_start), end: minutesOfDay(r.quiet_hours_end) });
+    }
+
+    if (smsWindow.enabled && channels.includes("sms")) {
+        ranges.push({ start: minutesOfDay(smsWindow.end), end: minutesOfDay(smsWindow.start) });
+    }
+
+    return ranges.filter(range => range.start !== range.end);
+}
+
+function inRange(minute, { start, end }) {
+    return start < end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+}
+
+/**
+ * Earliest moment at or after `from` outside the recipient's
+ * blocked ranges, or null when `from` itself is allowed.
+ */
+function deferUntil(r, from, channels = channelsFor(r)) {
+    const tz = r.timezone && moment.tz.zone(r.timezone) ? r.timezone : DEFAULT_TIMEZONE;
+    const ranges = blockedRanges(r, channels);
+    let local = moment(from).tz(tz);
+
+    // Each step jumps to the end of the range blocking us; overlaps need a few
+    for (let i = 0; i <= ranges.length * 2; i++) {
+        const minute = local.hours() * 60 + local.minutes();
+        const blocking = ranges.find(range => inRange(minute, range));
+
+        if (!blocking) return i === 0 ? null : local.toDate();
+
+        local = local.clone().startOf("minute").add((blocking.end - minute + 1440) % 1440, "minutes");
+    }
+
+    // Quiet hours + SMS window cover the whole day — send rather than stall forever
+    return null;
+}
+
+/***************************************************************
+ *  SCHEDULER — CLAIM DUE RECIPIENTS
+ *  Locking lives in claim.js: due rows are locked with FOR
+ *  UPDATE SKIP LOCKED and advanced here, in the same short
+ *  transaction, before anything is sent. Another instance (or an
+ *  overlapping minute) never sees that slot as due again, so
+ *  every slot is delivered at most once; a crash between claim
+ *  and send drops the slot rather than double-sending it.
+ ***************************************************************/
+const SCHEDULER_BATCH_SIZE = Number(process.env.SCHEDULER_BATCH_SIZE) || 100;
+const SCHEDULER_CONCURRENCY = Number(process.env.SCHEDULER_CONCURRENCY) || 5;
+
+/**
+ * When `now` falls inside the customer's vacation (recipient's
+ * local dates, inclusive), the moment the vacation is over.
+ * vacation_start / vacation_end are selected with to_char as
+ * "YYYY-MM-DD", like loadVacation, so the day never shifts.
+ */
+function vacationEndsAt(r, now) {
+    if (!r.vacation_start || !r.vacation_end) return null;
+
+    const tz = r.timezone && moment.tz.zone(r.timezone) ? r.timezone : DEFAULT_TIMEZONE;
+    const today = moment(now).tz(tz).format("YYYY-MM-DD");
+
+    if (today < r.vacation_start || today > r.vacation_end) return null;
+
+    return moment.tz(r.vacation_end, "YYYY-MM-DD", tz).add(1, "day").toDate();
+}
+
+// Moves one locked row past `now`; returns the slot to send, or
+// null when the slot was only pushed back (vacation, quiet hours)
+async function advanceDueRecipient(client, r, now) {
+    // Vacation: skip every slot inside it, one delivery after
+    const vacationEnd = vacationEndsAt(r, now);
+    if (vacationEnd) {
+        const afterVacation = calculateNextDelivery(
+            r.frequency,
+            r.timings,
+            r.timezone,
+            null,
+            r.delivery_days,
+            vacationEnd
+        );
+        await client.query(
+            "UPDATE users SET next_delivery=$1, deferred_from=NULL WHERE id=$2",
+            [afterVacation, r.id]
+        );
+        return null;
+    }
+
+    // Quiet hours / SMS window: move the slot, keep last_sent and
+    // remember the original slot so the cadence doesn't drift a day
+    const deferTo = deferUntil(r, now);
+    if (deferTo) {
+        await client.query(
+            "UPDATE users SET next_delivery=$1, deferred_from=COALESCE(deferred_from, next_delivery) WHERE id=$2",
+            [deferTo, r.id]
+        );
+        console.log(`🌙 Deferred ${r.name} to ${deferTo.toISOString()} (quiet hours)`);
+        return null;
+    }
+
+    // CALCULATE NEXT DELIVERY (anchored on this slot)
+    const next = calculateNextDelivery(
+        r.frequency,
+        r.timings,
+        r.timezone,
+        r.deferred_from || now,
+        r.delivery_days,
+        now
+    );
+
+    await client.query(`
+        UPDATE users
+        SET next_delivery=$1, last_sent=$2, deferred_from=NULL
+        WHERE id=$3
+    `, [next, now, r.id]);
+
+    return { ...r, slot: r.next_delivery, next_delivery: next, last_sent: now };
+}
+
+function claimDueRecipients(now, limit = SCHEDULER_BATCH_SIZE) {
+    return claimDue(global.__LT_pool, now, limit, (client, r) => advanceDueRecipient(client, r, now));
+}
+
+// Runs worker over items with at most `limit` in flight
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
 
-        return res.json({ url: session.url });
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    });
 
-    } catch (err) {
-        console.error("❌ MERCH CHECKOUT ERROR:", err);
-        return res.status(500).json({ error: "Server error processing merch checkout" });
-    }
-});
+    await Promise.all(lanes);
+}
 
 /***************************************************************
- *  UNIVERSAL SMS SENDER
+ *  SCHEDULER — DELIVER ONE CLAIMED SLOT
  ***************************************************************/
-global.__LT_sendSMS = async function (to, message) {
-    if (!twilioClient) {
-        console.error("❌ Twilio not configured");
-        return false;
-    }
-    
+async function deliverScheduledMessage(r, now) {
     try {
-        await twilioClient.messages.create({
-            body: message,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: to
+        // Customer-written notes go first, templates are the fallback
+        const customQ = await global.__LT_pool.query(`
+            SELECT id, content FROM recipient_custom_messages
+            WHERE recipient_id=$1 AND status='queued'
+            ORDER BY position, id
+            LIMIT 1
+        `, [r.id]);
+
+        const custom = customQ.rows[0];
+        const vars = await global.__LT_buildTemplateVars(r, { when: now });
+        const { message, templateId } = custom
+            ? { message: global.__LT_renderTemplate(custom.content, vars), templateId: null }
+            : await global.__LT_buildRotatedMessage(r, vars);
+        
+        // SEND THROUGH EVERY CHANNEL THE RECIPIENT USES
+        const content = {
+            subject: "Your Love Message ❤️",
+            message,
+            vars
+        };
+        const delivery = await global.__LT_dispatchMessage(r, content);
+
+        // LOG MESSAGE (one row per channel) — failed channels go
+        // to the retry queue instead of being lost
+        const recorded = await global.__LT_recordDelivery(r, content, delivery, {
+            templateId,
+            kind: custom ? "custom" : "scheduled"
         });
-        console.log(`📱 SMS sent to ${to}`);
-        return true;
+
+        // Notes that couldn't be sent or retried stay queued for the next slot
+        if (custom && (delivery.ok || recorded.queued)) {
+            await global.__LT_pool.query(`
+                UPDATE recipient_custom_messages
+                SET status='sent', sent_at=NOW(), updated_at=NOW()
+                WHERE id=$1
+            `, [custom.id]);
+        }
+
+        console.log(`💘 Love message sent → ${r.name}`);
+
     } catch (err) {
-        console.error("❌ SMS SEND ERROR:", err);
-        return false;
+        console.error("❌ Error sending automated message:", err);
     }
-};
+}
 
 /***************************************************************
- *  LoveTextForHer — BACKEND (PART 7 OF 7)
- *  ----------------------------------------------------------
- *  Includes:
- *      ✔ Next delivery calculator
- *      ✔ Cron job (runs every minute)
- *      ✔ Automated message sender
- *      ✔ Logging of sent messages
- *      ✔ Server start
+ *  SCHEDULER RUN — AUTOMATIC MESSAGE SENDER
+ *  Scheduled every minute by worker.js
  ***************************************************************/
+let schedulerRunning = false;
 
-/***************************************************************
- *  TIMEZONE-AWARE NEXT DELIVERY CALCULATOR
- *  Uses the moment-timezone library (already imported in Part 1)
- ***************************************************************/
+/**
+ * Reactivate a paused recipient, scheduling from now so the
+ * deliveries missed while paused aren't all sent at once.
+ */
+async function resumeRecipient(r, now = new Date()) {
+    const nextDelivery = calculateNextDelivery(
+        r.frequency,
+        r.timings,
+        r.timezone,
+        null,
+        r.delivery_days,
+        now
+    );
 
-function calculateNextDelivery(freq, timing, timezone) {
-    // Default timezone if not provided
-    const tz = timezone || "America/Chicago";
-    
-    // Get current time in the recipient's timezone
-    const now = moment().tz(tz);
-    
-    // Determine the hour for delivery based on timing preference
-    let deliveryHour;
-    switch (timing) {
-        case "morning":    deliveryHour = 9; break;   // 9 AM
-        case "afternoon":  deliveryHour = 13; break;  // 1 PM
-        case "evening":    deliveryHour = 18; break;  // 6 PM
-        case "night":      deliveryHour = 22; break;  // 10 PM
-        default:           deliveryHour = 12; break;  // Noon
-    }
-    
-    // Start with today at the desired hour in recipient's timezone
-    let next = moment().tz(tz).set({
-        hour: deliveryHour,
-        minute: 0,
-        second: 0,
-        millisecond: 0
-    });
-    
-    // If that time has already passed today, start from tomorrow
-    if (next.isBefore(now)) {
-        next.add(1, 'day');
-    }
-    
-    // Apply frequency offset
-    switch (freq) {
-        case "daily":
-            // Already set to next occurrence (today or tomorrow)
-            break;
-            
-        case "every-other-day":
-            // Every 2 days
-            break;
-            
-        case "three-times-week":
-            // Every 2-3 days (we'll do 2 for simplicity)
-            break;
-            
-        case "weekly":
-            // 7 days from now
-            next.add(7, 'days');
-            break;
-            
-        case "bi-weekly":
-            // 14 days from now
-            next.add(14, 'days');
-            break;
-            
-        default:
-            // Default to daily
-            break;
+    await global.__LT_pool.query(
+        `UPDATE users
+         SET is_active=true, paused_reason=NULL, paused_at=NULL, paused_until=NULL,
+             next_delivery=$2, deferred_from=NULL
+         WHERE id=$1`,
+        [r.id, nextDelivery]
+    );
+}
+
+/**
+ * Auto-resume recipients whose timed pause has run out.
+ */
+async function resumeExpiredPauses(now) {
+    const due = await global.__LT_pool.query(
+        `SELECT * FROM users
+         WHERE is_active=false AND paused_until IS NOT NULL AND paused_until <= $1
+           AND opted_out_at IS NULL`,
+        [now]
+    );
+
+    for (const r of due.rows) {
+        await resumeRecipient(r, now);
+        console.log(`▶️  Pause ended, resuming ${r.name}`);
     }
-    
-    // Convert to JavaScript Date object (in UTC for database storage)
-    return next.toDate();
 }
 
-// Export for use throughout the app
-global.__LT_calculateNextDelivery = calculateNextDelivery;
+async function runScheduler() {
+    // A slow minute must not overlap the next one in this process
+    if (schedulerRunning) {
+        console.log("⏭  CRON: previous run still in progress, skipping");
+        return;
+    }
 
-/***************************************************************
- *  CRON JOB — AUTOMATIC MESSAGE SENDER (EVERY MINUTE)
- ***************************************************************/
-cron.schedule("* * * * *", async () => {
+    schedulerRunning = true;
     console.log("⏱  CRON: scanning for due messages…");
 
-    const client = await global.__LT_pool.connect();
-
     try {
         const now = new Date();
 
-        // Get all recipients due for a message
-        const due = await client.query(`
-            SELECT u.*, c.has_subscription, c.subscription_end
-            FROM users u
-            JOIN customers c ON u.customer_id = c.id
-            WHERE u.is_active = true
-              AND u.next_delivery <= $1
-        `, [now]);
-
-        for (const r of due.rows) {
-            try {
-                // Check if customer still has active subscription
-                const isActive = r.has_subscription || 
-                                (r.subscription_end && new Date(r.subscription_end) > now);
-                
-                if (!isActive) {
-                    console.log(`⚠️  Skipping ${r.email} - subscription inactive`);
-                    continue;
-                }
-
-                const message = global.__LT_buildMessage(r.name, r.relationship);
-                
-                // SEND EMAIL (if delivery method includes email)
-                if (!r.delivery_method || r.delivery_method === "email" || r.delivery_method === "both") {
-                    const unsubscribeURL = `${process.env.BASE_URL}/unsubscribe.html?token=${r.unsubscribe_token}`;
-                    const html = global.__LT_buildLoveEmailHTML(r.name, message, unsubscribeURL);
-                    
-                    await global.__LT_sendEmail(
-                        r.email,
-                        "Your Love Message ❤️",
-                        html,
-                        message + "\n\nUnsubscribe: " + unsubscribeURL
-                    );
-                    
-                    console.log(`💌 Email sent → ${r.email}`);
-                }
-                
-                // SEND SMS (if delivery method includes SMS and phone exists)
-                if ((r.delivery_method === "sms" || r.delivery_method === "both") && r.phone_number) {
-                    const smsMessage = `${message}\n\nReply STOP to unsubscribe`;
-                    await global.__LT_sendSMS(r.phone_number, smsMessage);
-                    console.log(`📱 SMS sent → ${r.phone_number}`);
-                }
-
-                // LOG MESSAGE
-                await global.__LT_logMessage(
-                    r.customer_id,
-                    r.id,
-                    r.email,
-                    message
-                );
+        // Admin may have changed the legal SMS window
+        await loadSmsWindow();
 
-                // CALCULATE NEXT DELIVERY
-                const next = calculateNextDelivery(r.frequency, r.timings);
+        // Timed pauses that have run out go back on the schedule first
+        await resumeExpiredPauses(now);
 
-                await client.query(`
-                    UPDATE users
-                    SET next_delivery=$1, last_sent=NOW()
-                    WHERE id=$2
-                `, [next, r.id]);
+        // Claim and deliver in batches until nothing is due. Rows that
+        // were only deferred still fill the batch, so loop on locked rows
+        let claimed;
+        do {
+            claimed = await claimDueRecipients(now);
+            await runWithConcurrency(claimed.slots, SCHEDULER_CONCURRENCY, r => deliverScheduledMessage(r, now));
+        } while (claimed.locked === SCHEDULER_BATCH_SIZE);
 
-                console.log(`💘 Love message sent → ${r.name}`);
+        // Birthdays, anniversaries & holidays on top of the normal cadence
+        await sendDueSpecialDates(now);
 
-            } catch (innerErr) {
-                console.error("❌ Error sending automated message:", innerErr);
-            }
-        }
+        // Failed channel sends whose backoff has elapsed
+        await global.__LT_processRetryQueue();
 
     } catch (err) {
         console.error("❌ CRON ERROR:", err);
     } finally {
-        client.release();
+        schedulerRunning = false;
     }
-});
+}
+
+global.__LT_runScheduler = runScheduler;
 
 /***************************************************************
  *  COMPREHENSIVE KPI ENDPOINT WITH PROMO CODE TRACKING
@@ -2788,17 +6467,19 @@ app.get("/api/admin/kpis", global.__LT_authAdmin, async (req, res) => {
          * 7. MESSAGE METRICS
          ***********************************************************/
         const totalMessagesSent = await global.__LT_pool.query(
-            `SELECT COUNT(*) FROM message_logs`
+            `SELECT COUNT(*) FROM message_logs WHERE status IN ('sent', 'delivered')`
         );
 
         const messagesThisMonth = await global.__LT_pool.query(
-            `SELECT COUNT(*) FROM message_logs WHERE sent_at >= $1`,
+            `SELECT COUNT(*) FROM message_logs
+             WHERE sent_at >= $1 AND status IN ('sent', 'delivered')`,
             [monthStart]
         );
 
         const messagesLastMonth = await global.__LT_pool.query(
             `SELECT COUNT(*) FROM message_logs 
-             WHERE sent_at >= $1 AND sent_at <= $2`,
+             WHERE sent_at >= $1 AND sent_at <= $2
+               AND status IN ('sent', 'delivered')`,
             [lastMonthStart, lastMonthEnd]
         );
 
@@ -3314,10 +6995,11 @@ app.get("/api/admin/message-logs/search", global.__LT_authAdmin, async (req, res
 
         // Get all message logs for this customer
         const logsQ = await global.__LT_pool.query(
-            `SELECT id, recipient_id, email, message, sent_at
+            `SELECT id, recipient_id, email, message, sent_at,
+                    channel, provider_message_id, status, error, attempts, status_updated_at
              FROM message_logs
              WHERE customer_id=$1
-             ORDER BY sent_at DESC`,
+             ORDER BY sent_at DESC, id DESC`,
             [customer.id]
         );
 
@@ -3335,10 +7017,9 @@ app.get("/api/admin/message-logs/search", global.__LT_authAdmin, async (req, res
 
 /***************************************************************
  *  FIX 3: ADD TRIAL CLEANUP CRON JOB (Add to Part 7)
+ *  Scheduled hourly by worker.js
  ***************************************************************/
-
-// Run every hour to check for expired trials
-cron.schedule("0 * * * *", async () => {
+async function cleanupExpiredTrials() {
     console.log("⏱  CRON: Checking for expired trials...");
 
     try {
@@ -3396,7 +7077,9 @@ cron.schedule("0 * * * *", async () => {
     } catch (err) {
         console.error("❌ TRIAL CLEANUP ERROR:", err);
     }
-});
+}
+
+global.__LT_cleanupExpiredTrials = cleanupExpiredTrials;
 
 /***************************************************************
  *  ADD THESE MISSING ENDPOINTS TO PART 6
@@ -3900,42 +7583,416 @@ app.post("/api/customer/login", async (req, res) => {
 });
 
 /***************************************************************
- *  TWILIO SMS WEBHOOK - HANDLE INCOMING STOP MESSAGES
- *  Place this BEFORE app.listen() at the end of your server.js
+ *  TWILIO REQUEST SIGNATURES
+ *  Twilio signs every webhook with X-Twilio-Signature over the
+ *  exact public URL it called, so we rebuild that URL from
+ *  BASE_URL rather than trusting the proxy's Host header.
+ ***************************************************************/
+function verifyTwilioRequest(req) {
+    const signature = req.headers["x-twilio-signature"];
+    if (!signature || !process.env.TWILIO_AUTH_TOKEN || !process.env.BASE_URL) return false;
+
+    return twilio.validateRequest(
+        process.env.TWILIO_AUTH_TOKEN,
+        signature,
+        `${process.env.BASE_URL}${req.originalUrl}`,
+        req.body || {}
+    );
+}
+
+/***************************************************************
+ *  TWILIO SMS WEBHOOK - INBOUND KEYWORDS
+ *  STOP stops texting every recipient on the number (email is
+ *  untouched) and adds it to the suppression list, START / UNSTOP
+ *  lifts that and restores only those STOP paused, HELP replies
+ *  with support info.
+ *  Requests must carry a valid X-Twilio-Signature.
  ***************************************************************/
-app.post("/api/twilio/sms-webhook", express.urlencoded({ extended: false }), async (req, res) => {
+const SMS_KEYWORDS = {
+    stop: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "REVOKE", "OPTOUT"],
+    start: ["START", "UNSTOP", "YES"],
+    help: ["HELP", "INFO"]
+};
+
+const SMS_HELP_REPLY =
+    "LoveTextForHer: messages sent on behalf of someone who cares about you. " +
+    "Reply STOP to unsubscribe, START to resubscribe. " +
+    "Help: support@lovetextforher.com. Msg & data rates may apply.";
+
+const SMS_START_REPLY =
+    "LoveTextForHer: you're resubscribed and will receive messages again. Reply STOP to unsubscribe.";
+
+function smsKeyword(body) {
+    const word = String(body || "").trim().toUpperCase();
+    return Object.keys(SMS_KEYWORDS).find(k => SMS_KEYWORDS[k].includes(word)) || null;
+}
+
+function twimlReply(res, message = null) {
+    const twiml = new twilio.twiml.MessagingResponse();
+    if (message) twiml.message(message);
+    res.type("text/xml");
+    return res.send(twiml.toString());
+}
+
+async function auditSmsKeyword(action, keyword, from, recipients) {
+    const customerIds = [...new Set(recipients.map(r => r.customer_id))];
+
+    await global.__LT_logAuditEvent(
+        'message',
+        action,
+        `${keyword} from ${from} (${recipients.length} recipient${recipients.length === 1 ? "" : "s"})`,
+        {
+            customerId: customerIds.length === 1 ? customerIds[0] : null,
+            extra: {
+                phone: from,
+                keyword,
+                recipientIds: recipients.map(r => r.id),
+                customerIds
+            }
+        }
+    );
+}
+
+app.post("/api/twilio/sms-webhook", async (req, res) => {
+    if (!verifyTwilioRequest(req)) {
+        console.error("❌ SMS webhook rejected: bad signature");
+        return res.status(403).json({ error: "Invalid signature" });
+    }
+
     try {
         const { From, Body } = req.body;
-        const message = Body?.trim().toUpperCase();
-        
+        const keyword = smsKeyword(Body);
+        const word = String(Body || "").trim().toUpperCase();
+        const phone = normalizeSuppressionAddress("sms", From);
+
         console.log(`📱 Incoming SMS from ${From}: "${Body}"`);
-        
-        const stopKeywords = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
-        
-        if (stopKeywords.includes(message)) {
-            // DELETE recipient by phone number instead of just deactivating
+
+        if (keyword === "stop") {
             const result = await global.__LT_pool.query(
-                `DELETE FROM users WHERE phone_number = $1 RETURNING id, name`,
-                [From]
+                `SELECT id, name, email, phone_number, customer_id FROM users
+                 WHERE phone_number = $1
+                   AND opted_out_at IS NULL`,
+                [phone]
             );
-            
+
+            // Suppress the number even if no recipient row has it any more
+            await suppressAddress("sms", From, "sms_stop");
+
+            for (const recipient of result.rows) {
+                await optOutRecipient(recipient, "sms_stop", ["sms"]);
+            }
+
+            await auditSmsKeyword('SMS STOP Received', word, From, result.rows);
+
             if (result.rows.length > 0) {
-                console.log(`🗑️  Recipient unsubscribed via SMS and deleted: ${result.rows[0].name} (${From})`);
+                console.log(`⏸  Recipient unsubscribed via SMS: ${result.rows.map(r => r.name).join(", ")} (${From})`);
             } else {
                 console.log(`⚠️  No recipient found for ${From}`);
             }
+
+            // Twilio's own opt-out confirmation is sent by the carrier layer
+            return twimlReply(res);
         }
-        
-        res.type('text/xml');
-        return res.send('<Response></Response>');
-        
+
+        if (keyword === "start") {
+            await liftSuppression("sms", From);
+
+            // Only rows STOP itself paused come back; any other pause
+            // reason (hard bounce, customer pause…) stays in place
+            const stopped = await global.__LT_pool.query(
+                "SELECT * FROM users WHERE phone_number = $1 AND paused_reason='sms_stop'",
+                [phone]
+            );
+
+            const result = await global.__LT_pool.query(
+                `UPDATE users
+                 SET is_active=CASE WHEN paused_reason='sms_stop' THEN true ELSE is_active END,
+                     paused_at=CASE WHEN paused_reason='sms_stop' THEN NULL ELSE paused_at END,
+                     opted_out_at=CASE WHEN paused_reason='sms_stop' THEN NULL ELSE opted_out_at END,
+                     paused_reason=CASE WHEN paused_reason='sms_stop' THEN NULL ELSE paused_reason END,
+                     sms_flagged_reason=CASE WHEN sms_flagged_reason='opted_out'
+                                             THEN NULL ELSE sms_flagged_reason END
+                 WHERE phone_number = $1
+                   AND (paused_reason='sms_stop' OR sms_flagged_reason='opted_out')
+                 RETURNING id, name, customer_id`,
+                [phone]
+            );
+
+            // Reschedule from now like any resume, so a slot that went
+            // stale during the opt-out isn't sent on the next tick
+            for (const r of stopped.rows) {
+                await resumeRecipient(r);
+            }
+
+            await auditSmsKeyword('SMS START Received', word, From, result.rows);
+
+            console.log(`▶️  Recipient resubscribed via SMS: ${result.rows.length} restored (${From})`);
+            return twimlReply(res, SMS_START_REPLY);
+        }
+
+        if (keyword === "help") {
+            const result = await global.__LT_pool.query(
+                "SELECT id, customer_id FROM users WHERE phone_number = $1",
+                [phone]
+            );
+
+            await auditSmsKeyword('SMS HELP Received', word, From, result.rows);
+            return twimlReply(res, SMS_HELP_REPLY);
+        }
+
+        return twimlReply(res);
+
     } catch (err) {
         console.error("❌ SMS WEBHOOK ERROR:", err);
-        res.type('text/xml');
-        return res.send('<Response></Response>');
+        return twimlReply(res);
+    }
+});
+
+/***************************************************************
+ *  TWILIO STATUS CALLBACK — SMS delivered / undelivered / failed
+ *  Set per message via statusCallback in sendSMSDetailed and
+ *  matched to message_logs by the message SID.
+ ***************************************************************/
+const TWILIO_FINAL_STATUSES = {
+    delivered: "delivered",
+    undelivered: "failed",
+    failed: "failed"
+};
+
+app.post("/api/twilio/status-callback", async (req, res) => {
+    if (!verifyTwilioRequest(req)) {
+        console.error("❌ Twilio status callback rejected: bad signature");
+        return res.status(403).json({ error: "Invalid signature" });
+    }
+
+    try {
+        const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+        const status = TWILIO_FINAL_STATUSES[MessageStatus];
+
+        // queued / sending / sent are progress updates — nothing to record yet
+        if (!MessageSid || !status) return res.sendStatus(204);
+
+        const logQ = await global.__LT_pool.query(
+            `SELECT id, recipient_id FROM message_logs
+             WHERE provider_message_id=$1 AND channel='sms'
+             LIMIT 1`,
+            [MessageSid]
+        );
+
+        const log = logQ.rows[0];
+        if (!log) {
+            console.log(`⚠️  Twilio ${MessageStatus} for unknown message ${MessageSid}`);
+            return res.sendStatus(204);
+        }
+
+        // Twilio retries callbacks — only apply each final status once
+        const inserted = await global.__LT_pool.query(
+            `INSERT INTO message_events (message_log_id, provider, event, detail, payload, occurred_at)
+             SELECT $1, 'twilio', $2, $3, $4, NOW()
+             WHERE NOT EXISTS (
+                 SELECT 1 FROM message_events
+                 WHERE message_log_id=$1 AND provider='twilio' AND event=$2
+             )
+             RETURNING id`,
+            [log.id, MessageStatus, ErrorCode || null, JSON.stringify(req.body)]
+        );
+
+        if (!inserted.rows.length) return res.sendStatus(204);
+
+        const error = ErrorCode
+            ? `${ErrorCode}: ${ErrorMessage || `Twilio ${MessageStatus}`}`
+            : null;
+
+        await global.__LT_pool.query(
+            `UPDATE message_logs
+             SET status=$2, error=COALESCE($3, error), status_updated_at=NOW()
+             WHERE id=$1`,
+            [log.id, status, error]
+        );
+
+        if (status === "delivered") {
+            await recordSmsDelivered(log.recipient_id);
+        } else {
+            await recordSmsFailure(log.recipient_id, ErrorCode);
+        }
+
+        return res.sendStatus(204);
+
+    } catch (err) {
+        console.error("❌ TWILIO STATUS CALLBACK ERROR:", err);
+        return res.sendStatus(500);
+    }
+});
+
+/***************************************************************
+ *  BREVO TRANSACTIONAL WEBHOOK — delivery / bounce / open events
+ *  Configure in Brevo → Transactional → Webhooks with the URL
+ *  https://yourdomain.com/api/brevo/webhook and authentication
+ *  "Token" (Authorization: Bearer …) or Basic auth whose password
+ *  is BREVO_WEBHOOK_SECRET. Events are matched to message_logs
+ *  by provider_message_id.
+ ***************************************************************/
+const BREVO_STATUS_EVENTS = {
+    delivered: "delivered",
+    hard_bounce: "bounced",
+    invalid_email: "bounced",
+    blocked: "bounced"
+};
+
+const BREVO_OPEN_EVENTS = ["opened", "unique_opened", "proxy_open", "unique_proxy_open"];
+
+// Events that mean we must stop emailing this person
+const BREVO_PAUSE_EVENTS = {
+    hard_bounce: "hard_bounce",
+    invalid_email: "hard_bounce",
+    spam: "spam_complaint"
+};
+
+function normalizeProviderMessageId(id) {
+    return id ? String(id).trim().replace(/^<|>$/g, "") : null;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function verifyBrevoWebhook(req) {
+    const secret = process.env.BREVO_WEBHOOK_SECRET;
+    const header = req.headers.authorization || "";
+
+    if (header.startsWith("Bearer ")) {
+        return safeEqual(header.slice(7).trim(), secret);
+    }
+
+    if (header.startsWith("Basic ")) {
+        const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+        return safeEqual(decoded.slice(decoded.indexOf(":") + 1), secret);
+    }
+
+    return false;
+}
+
+async function pauseRecipientForDelivery(recipientId, reason, detail) {
+    const q = await global.__LT_pool.query(
+        `UPDATE users
+         SET is_active=false, paused_reason=$2, paused_at=NOW()
+         WHERE id=$1 AND is_active=true
+         RETURNING id, name, email, customer_id`,
+        [recipientId, reason]
+    );
+
+    if (!q.rows.length) return null;
+
+    const r = q.rows[0];
+
+    await global.__LT_logAuditEvent(
+        'message',
+        'Recipient Auto-Paused',
+        `Paused ${r.name} after ${reason.replace("_", " ")}`,
+        {
+            customerId: r.customer_id,
+            extra: { recipientId: r.id, reason, detail }
+        }
+    );
+
+    console.log(`⏸  Recipient auto-paused (${reason}): ${r.name} <${r.email}>`);
+    return r;
+}
+
+async function handleBrevoEvent(event) {
+    const type = String(event.event || "").toLowerCase();
+    const messageId = normalizeProviderMessageId(event["message-id"] || event.message_id);
+    if (!type || !messageId) return;
+
+    const logQ = await global.__LT_pool.query(
+        `SELECT id, recipient_id, status FROM message_logs
+         WHERE provider_message_id=$1 AND channel='email'
+         LIMIT 1`,
+        [messageId]
+    );
+
+    const log = logQ.rows[0];
+    if (!log) {
+        console.log(`⚠️  Brevo ${type} for unknown message ${messageId}`);
+        return;
+    }
+
+    const occurredAt = event.ts_event
+        ? new Date(event.ts_event * 1000)
+        : (event.date ? new Date(event.date) : new Date());
+
+    const inserted = await global.__LT_pool.query(
+        `INSERT INTO message_events (message_log_id, provider, event, detail, payload, occurred_at)
+         VALUES ($1, 'brevo', $2, $3, $4, $5)
+         ON CONFLICT (message_log_id, event, occurred_at) DO NOTHING
+         RETURNING id`,
+        [log.id, type, event.reason || null, JSON.stringify(event), occurredAt]
+    );
+
+    // Brevo retries deliveries — ignore events we've already applied
+    if (!inserted.rows.length) return;
+
+    const status = BREVO_STATUS_EVENTS[type];
+    if (status) {
+        // A late "delivered" must not overwrite a bounce
+        await global.__LT_pool.query(
+            `UPDATE message_logs
+             SET status=$2, error=COALESCE($3, error), status_updated_at=NOW()
+             WHERE id=$1 AND (status <> 'bounced' OR $2 = 'bounced')`,
+            [log.id, status, status === "bounced" ? (event.reason || type) : null]
+        );
+    }
+
+    if (BREVO_OPEN_EVENTS.includes(type)) {
+        await global.__LT_pool.query(
+            `UPDATE message_logs
+             SET opened_at=COALESCE(opened_at, $2), open_count=open_count + 1,
+                 status=CASE WHEN status='sent' THEN 'delivered' ELSE status END
+             WHERE id=$1`,
+            [log.id, occurredAt]
+        );
+    }
+
+    if (BREVO_PAUSE_EVENTS[type]) {
+        await pauseRecipientForDelivery(log.recipient_id, BREVO_PAUSE_EVENTS[type], event.reason || type);
+    }
+
+    // A spam complaint is an opt-out — never email that address again
+    if (type === "spam" && event.email) {
+        await suppressAddress("email", event.email, "spam_complaint", { recipientId: log.recipient_id });
+    }
+}
+
+app.post("/api/brevo/webhook", async (req, res) => {
+    if (!process.env.BREVO_WEBHOOK_SECRET) {
+        console.error("❌ Brevo webhook received but BREVO_WEBHOOK_SECRET is not set");
+        return res.status(503).json({ error: "Webhook not configured" });
+    }
+
+    if (!verifyBrevoWebhook(req)) {
+        console.error("❌ Brevo webhook rejected: bad or missing credentials");
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    // Brevo sends a single event, or an array when batching is enabled
+    const events = Array.isArray(req.body) ? req.body : [req.body];
+
+    for (const event of events) {
+        try {
+            await handleBrevoEvent(event);
+        } catch (err) {
+            console.error("❌ BREVO WEBHOOK EVENT ERROR:", err);
+        }
     }
+
+    return res.json({ received: true });
 });
 
+global.__LT_pauseRecipientForDelivery = pauseRecipientForDelivery;
+global.__LT_safeEqual = safeEqual;
+
 /***************************************************************
  *  RECORD TERMS AGREEMENT
  ***************************************************************/
@@ -5113,11 +9170,31 @@ app.get("/api/promo/latest", async (req, res) => {
 
 /***************************************************************
  *  SERVER START
+ *  ROLE=web    → HTTP API only
+ *  ROLE=worker → cron jobs only (worker.js)
+ *  ROLE=all    → both in one process (default)
  ***************************************************************/
-app.listen(PORT, () => {
-    console.log(`🚀 LoveTextForHer Backend Running on Port ${PORT}`);
-    console.log(`📱 SMS webhook ready at: https://lovetextforher-backend.onrender.com/api/twilio/sms-webhook`);
-});
+const ROLE = (process.env.ROLE || "all").toLowerCase();
+
+if (!["web", "worker", "all"].includes(ROLE)) {
+    console.error(`❌ Unknown ROLE "${process.env.ROLE}" (expected web, worker or all)`);
+    process.exit(1);
+}
+
+if (ROLE === "web" || ROLE === "all") {
+    app.listen(PORT, () => {
+        console.log(`🚀 LoveTextForHer Backend Running on Port ${PORT}`);
+        console.log(`📱 SMS webhook ready at: https://lovetextforher-backend.onrender.com/api/twilio/sms-webhook`);
+        console.log(`📬 Brevo webhook ready at: https://lovetextforher-backend.onrender.com/api/brevo/webhook`);
+    });
+}
+
+if (ROLE === "worker" || ROLE === "all") {
+    const { startWorker } = await import("./worker.js");
+    startWorker();
+}
+
+console.log(`🧭 Running with ROLE=${ROLE}`);
 
 /***************************************************************
  *  BACKEND COMPLETE
@@ -5128,4 +9205,8 @@ app.listen(PORT, () => {
  *     - URL: https://yourdomain.com/api/twilio/sms-webhook
  *     - Method: POST
  *  3. Test by texting STOP to your Twilio number
+ *  4. Both Twilio webhooks verify X-Twilio-Signature, so BASE_URL
+ *     must match the configured webhook host exactly and
+ *     TWILIO_AUTH_TOKEN must be set — each SMS also registers
+ *     BASE_URL/api/twilio/status-callback
  ***************************************************************/
\ No newline at end of file
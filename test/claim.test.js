@@ -0,0 +1,187 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+
+import { claimDueRecipients } from '../claim.js';
+
+/***************************************************************
+ *  Runs against a real Postgres, since SKIP LOCKED is the thing
+ *  under test. Point TEST_DATABASE_URL at a scratch database;
+ *  the tests work in their own schema and drop it afterwards.
+ ***************************************************************/
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = !DATABASE_URL && "set TEST_DATABASE_URL to run the claim tests";
+
+const SCHEMA = `claim_test_${process.pid}`;
+const DUE_COUNT = 40;
+
+let pool;
+let dueIds = [];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Same contract as the scheduler: push the slot a day ahead and own it
+function advanceWith(delayMs = 0) {
+    return async (client, r) => {
+        if (delayMs) await sleep(delayMs);
+        await client.query(
+            "UPDATE users SET next_delivery=$1, last_sent=$2 WHERE id=$3",
+            [new Date(Date.now() + 86400000), new Date(), r.id]
+        );
+        return { id: r.id };
+    };
+}
+
+function assertDisjoint(results) {
+    const seen = new Map();
+    results.forEach(({ slots }, worker) => {
+        for (const { id } of slots) {
+            assert.ok(!seen.has(id), `recipient ${id} claimed by workers ${seen.get(id)} and ${worker}`);
+            seen.set(id, worker);
+        }
+    });
+    return [...seen.keys()].sort((a, b) => a - b);
+}
+
+before(async () => {
+    if (skip) return;
+
+    pool = new pg.Pool({
+        connectionString: DATABASE_URL,
+        max: 10,
+        options: `-c search_path=${SCHEMA}`
+    });
+
+    await pool.query(`CREATE SCHEMA ${SCHEMA}`);
+    await pool.query(`
+        CREATE TABLE customers (
+            id SERIAL PRIMARY KEY,
+            has_subscription BOOLEAN DEFAULT false,
+            subscription_end TIMESTAMP,
+            vacation_start DATE,
+            vacation_end DATE
+        );
+        CREATE TABLE users (
+            id SERIAL PRIMARY KEY,
+            customer_id INT REFERENCES customers(id),
+            name VARCHAR(255),
+            is_active BOOLEAN DEFAULT true,
+            consent_status VARCHAR(20) DEFAULT 'not_required',
+            next_delivery TIMESTAMP,
+            last_sent TIMESTAMP
+        );
+        INSERT INTO customers (has_subscription) VALUES (true), (false);
+    `);
+
+    const due = await pool.query(
+        `INSERT INTO users (customer_id, name)
+         SELECT 1, 'due ' || n FROM generate_series(1, $1) n
+         RETURNING id`,
+        [DUE_COUNT]
+    );
+    dueIds = due.rows.map(r => r.id).sort((a, b) => a - b);
+
+    // Never due: paused, awaiting consent, lapsed subscription
+    await pool.query(`
+        INSERT INTO users (customer_id, name, is_active, consent_status) VALUES
+            (1, 'paused', false, 'not_required'),
+            (1, 'pending', true, 'pending'),
+            (2, 'lapsed', true, 'not_required')
+    `);
+});
+
+beforeEach(async () => {
+    if (skip) return;
+    await pool.query("UPDATE users SET next_delivery=$1, last_sent=NULL", [new Date(Date.now() - 60000)]);
+});
+
+after(async () => {
+    if (skip) return;
+    await pool.query(`DROP SCHEMA ${SCHEMA} CASCADE`);
+    await pool.end();
+});
+
+test("two concurrent claims never return the same recipient", { skip }, async () => {
+    const now = new Date();
+
+    // The delay keeps both transactions open over each other's rows
+    const results = await Promise.all([
+        claimDueRecipients(pool, now, 25, advanceWith(5)),
+        claimDueRecipients(pool, now, 25, advanceWith(5))
+    ]);
+
+    assert.ok(results.every(({ slots }) => slots.length > 0), "both workers should get rows");
+    assert.deepEqual(assertDisjoint(results), dueIds);
+});
+
+test("many overlapping workers split the batch without duplicates", { skip }, async () => {
+    for (let round = 0; round < 10; round++) {
+        if (round) await pool.query("UPDATE users SET next_delivery=$1", [new Date(Date.now() - 60000)]);
+
+        const now = new Date();
+        const results = await Promise.all(
+            Array.from({ length: 5 }, () => claimDueRecipients(pool, now, 10, advanceWith(round % 2)))
+        );
+
+        assert.deepEqual(assertDisjoint(results), dueIds, `round ${round}`);
+    }
+});
+
+test("committed slots are not due again", { skip }, async () => {
+    const now = new Date();
+    const first = await claimDueRecipients(pool, now, 100, advanceWith());
+    const second = await claimDueRecipients(pool, now, 100, advanceWith());
+
+    assert.equal(first.slots.length, DUE_COUNT);
+    assert.deepEqual(second, { slots: [], locked: 0 });
+});
+
+test("paused, pending and lapsed recipients are never claimed", { skip }, async () => {
+    const { slots } = await claimDueRecipients(pool, new Date(), 100, advanceWith());
+    assert.deepEqual(slots.map(r => r.id).sort((a, b) => a - b), dueIds);
+});
+
+test("a failed claim rolls back and leaves the rows due", { skip }, async () => {
+    const now = new Date();
+
+    await assert.rejects(
+        claimDueRecipients(pool, now, 100, async () => { throw new Error("boom"); }),
+        /boom/
+    );
+
+    const retry = await claimDueRecipients(pool, now, 100, advanceWith());
+    assert.equal(retry.slots.length, DUE_COUNT);
+});
+
+test("rows advance only moves are not handed out as slots", { skip }, async () => {
+    const now = new Date();
+    const claimed = await claimDueRecipients(pool, now, 100, async (client, r) => {
+        await advanceWith()(client, r);
+        return r.id % 2 ? { id: r.id } : null;
+    });
+
+    assert.ok(claimed.slots.every(r => r.id % 2));
+    assert.deepEqual(await claimDueRecipients(pool, now, 100, advanceWith()), { slots: [], locked: 0 });
+});
+
+test("a batch of only-deferred rows still reports as full", { skip }, async () => {
+    const now = new Date();
+    const deferAll = async (client, r) => {
+        await advanceWith()(client, r);
+        return null;
+    };
+
+    const first = await claimDueRecipients(pool, now, 10, deferAll);
+    assert.deepEqual(first, { slots: [], locked: 10 });
+
+    // The scheduler keeps going while batches are full
+    let locked = first.locked;
+    let batches = 1;
+    while (locked === 10) {
+        ({ locked } = await claimDueRecipients(pool, now, 10, deferAll));
+        batches++;
+    }
+
+    assert.equal(batches, DUE_COUNT / 10 + 1);
+    assert.equal(locked, 0);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { consentFor, contactAddressChanged } from '../consent.js';
+
+const confirmed = {
+    email: "sam@example.com",
+    phone_number: "+15551234567",
+    consent_status: "confirmed",
+    consent_token: "a".repeat(48),
+    consent_confirmed_at: new Date("2026-03-01T12:00:00Z")
+};
+
+/***************************************************************
+ *  Adding a recipient
+ ***************************************************************/
+test("new recipients are pending with a token when double opt-in is on", () => {
+    const consent = consentFor(null, { email: "sam@example.com" }, true);
+
+    assert.equal(consent.consent_status, "pending");
+    assert.match(consent.consent_token, /^[0-9a-f]{48}$/);
+    assert.equal(consent.requestConsent, true);
+});
+
+test("new recipients don't need consent when double opt-in is off", () => {
+    assert.deepEqual(consentFor(null, { email: "sam@example.com" }, false), {
+        consent_status: "not_required",
+        consent_token: null,
+        consent_confirmed_at: null,
+        requestConsent: false
+    });
+});
+
+/***************************************************************
+ *  Editing a recipient
+ ***************************************************************/
+test("changing a confirmed recipient's email sends them back to pending", () => {
+    const consent = consentFor(confirmed, { ...confirmed, email: "someone.else@example.com" }, true);
+
+    assert.equal(consent.consent_status, "pending");
+    assert.equal(consent.consent_confirmed_at, null);
+    assert.notEqual(consent.consent_token, confirmed.consent_token);
+    assert.equal(consent.requestConsent, true);
+});
+
+test("changing a confirmed recipient's phone number sends them back to pending", () => {
+    const consent = consentFor(confirmed, { ...confirmed, phone_number: "+15559876543" }, true);
+
+    assert.equal(consent.consent_status, "pending");
+    assert.equal(consent.consent_confirmed_at, null);
+    assert.notEqual(consent.consent_token, confirmed.consent_token);
+});
+
+test("adding a phone number to a confirmed recipient asks again", () => {
+    const emailOnly = { ...confirmed, phone_number: null };
+    const consent = consentFor(emailOnly, { ...emailOnly, phone_number: "+15559876543" }, true);
+
+    assert.equal(consent.consent_status, "pending");
+});
+
+test("edits that keep the addresses keep the existing consent", () => {
+    const consent = consentFor(confirmed, { ...confirmed, name: "Sammy", frequency: "weekly" }, true);
+
+    assert.deepEqual(consent, {
+        consent_status: "confirmed",
+        consent_token: confirmed.consent_token,
+        consent_confirmed_at: confirmed.consent_confirmed_at,
+        requestConsent: false
+    });
+});
+
+test("removing the phone number doesn't ask for consent again", () => {
+    const consent = consentFor(confirmed, { ...confirmed, phone_number: null }, true);
+    assert.equal(consent.consent_status, "confirmed");
+});
+
+test("address changes leave consent alone when double opt-in is off", () => {
+    const notRequired = { ...confirmed, consent_status: "not_required", consent_token: null, consent_confirmed_at: null };
+    const consent = consentFor(notRequired, { ...notRequired, email: "someone.else@example.com" }, false);
+
+    assert.equal(consent.consent_status, "not_required");
+    assert.equal(consent.requestConsent, false);
+});
+
+test("contactAddressChanged only looks at email and phone", () => {
+    assert.equal(contactAddressChanged(confirmed, { ...confirmed, timezone: "Asia/Tokyo" }), false);
+    assert.equal(contactAddressChanged(confirmed, { ...confirmed, email: "x@example.com" }), true);
+    assert.equal(contactAddressChanged(confirmed, { ...confirmed, phone_number: "+15550000000" }), true);
+});
@@ -0,0 +1,228 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import moment from 'moment-timezone';
+
+import {
+    calculateNextDelivery,
+    parseDeliveryDays,
+    parseTiming
+} from '../recurrence.js';
+
+const TZ = "America/Chicago";
+
+// Local wall-clock time in TZ, e.g. "2026-03-02 09:00 Mon"
+const at = (local, tz = TZ) => moment.tz(local, "YYYY-MM-DD HH:mm", tz).toDate();
+const local = (date, tz = TZ) => moment(date).tz(tz).format("YYYY-MM-DD HH:mm ddd");
+
+/***************************************************************
+ *  parseDeliveryDays
+ ***************************************************************/
+test("parseDeliveryDays sorts and de-duplicates strings and arrays", () => {
+    assert.deepEqual(parseDeliveryDays("5,1, 3,1"), [1, 3, 5]);
+    assert.deepEqual(parseDeliveryDays([6, "0"]), [0, 6]);
+});
+
+test("parseDeliveryDays treats missing input as no days", () => {
+    assert.equal(parseDeliveryDays(null), null);
+    assert.equal(parseDeliveryDays(undefined), null);
+    assert.equal(parseDeliveryDays(""), null);
+});
+
+test("parseDeliveryDays rejects empty items instead of reading them as Sunday", () => {
+    assert.equal(parseDeliveryDays("1,,3"), null);
+    assert.equal(parseDeliveryDays("1,"), null);
+    assert.equal(parseDeliveryDays([1, ""]), null);
+});
+
+test("parseDeliveryDays rejects out-of-range and non-integer days", () => {
+    assert.equal(parseDeliveryDays("7"), null);
+    assert.equal(parseDeliveryDays("-1"), null);
+    assert.equal(parseDeliveryDays("1.5"), null);
+    assert.equal(parseDeliveryDays("mon"), null);
+});
+
+/***************************************************************
+ *  parseTiming
+ ***************************************************************/
+test("parseTiming accepts presets, exact times and windows", () => {
+    assert.deepEqual(parseTiming("morning"), { start: 540, end: 540 });
+    assert.deepEqual(parseTiming("07:30"), { start: 450, end: 450 });
+    assert.deepEqual(parseTiming("18:00-20:30"), { start: 1080, end: 1230 });
+});
+
+test("parseTiming rejects windows crossing midnight and non-presets", () => {
+    assert.equal(parseTiming("22:00-01:00"), null);
+    assert.equal(parseTiming("constructor"), null);
+    assert.equal(parseTiming("25:00"), null);
+});
+
+/***************************************************************
+ *  calculateNextDelivery — one case per frequency
+ *  2026-03-02 is a Monday
+ ***************************************************************/
+test("daily: first delivery is today's slot when it's still ahead", () => {
+    const next = calculateNextDelivery("daily", "morning", TZ, null, null, at("2026-03-02 08:00"));
+    assert.equal(local(next), "2026-03-02 09:00 Mon");
+});
+
+test("daily: first delivery rolls to tomorrow once today's slot has passed", () => {
+    const next = calculateNextDelivery("daily", "morning", TZ, null, null, at("2026-03-02 10:00"));
+    assert.equal(local(next), "2026-03-03 09:00 Tue");
+});
+
+test("daily: anchored on last_sent", () => {
+    const sent = at("2026-03-02 09:00");
+    const next = calculateNextDelivery("daily", "morning", TZ, sent, null, sent);
+    assert.equal(local(next), "2026-03-03 09:00 Tue");
+});
+
+test("every-other-day: two days after last_sent", () => {
+    const sent = at("2026-03-02 09:00");
+    const next = calculateNextDelivery("every-other-day", "morning", TZ, sent, null, sent);
+    assert.equal(local(next), "2026-03-04 09:00 Wed");
+});
+
+test("weekly: seven days after last_sent", () => {
+    const sent = at("2026-02-23 09:00");
+    const next = calculateNextDelivery("weekly", "morning", TZ, sent, null, sent);
+    assert.equal(local(next), "2026-03-02 09:00 Mon");
+});
+
+test("bi-weekly: fourteen days after last_sent", () => {
+    const sent = at("2026-02-16 18:00");
+    const next = calculateNextDelivery("bi-weekly", "evening", TZ, sent, null, sent);
+    assert.equal(local(next), "2026-03-02 18:00 Mon");
+});
+
+test("interval frequencies catch up from today when the anchor is overdue", () => {
+    const next = calculateNextDelivery("weekly", "morning", TZ, at("2026-01-05 09:00"), null, at("2026-03-02 12:00"));
+    assert.equal(local(next), "2026-03-03 09:00 Tue");
+});
+
+test("three-times-week: defaults to Mon / Wed / Fri", () => {
+    const monday = at("2026-03-02 09:00");
+    assert.equal(local(calculateNextDelivery("three-times-week", "morning", TZ, monday, null, monday)), "2026-03-04 09:00 Wed");
+
+    const friday = at("2026-03-06 09:00");
+    assert.equal(local(calculateNextDelivery("three-times-week", "morning", TZ, friday, null, friday)), "2026-03-09 09:00 Mon");
+});
+
+test("three-times-week: honours custom delivery_days", () => {
+    const monday = at("2026-03-02 09:00");
+    const next = calculateNextDelivery("three-times-week", "morning", TZ, monday, [0, 2, 4], monday);
+    assert.equal(local(next), "2026-03-03 09:00 Tue");
+});
+
+/***************************************************************
+ *  calculateNextDelivery — custom weekday sets
+ ***************************************************************/
+test("custom: next allowed weekday after last_sent", () => {
+    const tuesday = at("2026-03-03 13:00");
+    const next = calculateNextDelivery("custom", "afternoon", TZ, tuesday, "2,4", tuesday);
+    assert.equal(local(next), "2026-03-05 13:00 Thu");
+});
+
+test("custom: wraps into next week", () => {
+    const thursday = at("2026-03-05 13:00");
+    const next = calculateNextDelivery("custom", "afternoon", TZ, thursday, [2, 4], thursday);
+    assert.equal(local(next), "2026-03-10 13:00 Tue");
+});
+
+test("custom: single weekday sends once a week", () => {
+    const saturday = at("2026-03-07 09:00");
+    const next = calculateNextDelivery("custom", "morning", TZ, saturday, [6], saturday);
+    assert.equal(local(next), "2026-03-14 09:00 Sat");
+});
+
+test("custom: first delivery later today on an allowed day", () => {
+    const next = calculateNextDelivery("custom", "evening", TZ, null, [1], at("2026-03-02 12:00"));
+    assert.equal(local(next), "2026-03-02 18:00 Mon");
+});
+
+test("custom: never sends twice on the last_sent day", () => {
+    const sentEarly = at("2026-03-02 07:00");
+    const next = calculateNextDelivery("custom", "evening", TZ, sentEarly, [1, 3], at("2026-03-02 07:01"));
+    assert.equal(local(next), "2026-03-04 18:00 Wed");
+});
+
+/***************************************************************
+ *  calculateNextDelivery — DST
+ *  Chicago springs forward 2026-03-08 and falls back 2026-11-01
+ ***************************************************************/
+test("DST spring forward keeps the local delivery time", () => {
+    const sent = at("2026-03-07 09:00");
+    const next = calculateNextDelivery("daily", "morning", TZ, sent, null, sent);
+
+    assert.equal(local(next), "2026-03-08 09:00 Sun");
+    assert.equal(next.toISOString(), "2026-03-08T14:00:00.000Z");   // CDT, was 15:00Z in CST
+});
+
+test("DST fall back keeps the local delivery time", () => {
+    const sent = at("2026-10-31 22:00");
+    const next = calculateNextDelivery("daily", "night", TZ, sent, null, sent);
+
+    assert.equal(local(next), "2026-11-01 22:00 Sun");
+    assert.equal(next.toISOString(), "2026-11-02T04:00:00.000Z");   // CST, was 03:00Z in CDT
+});
+
+test("weekly schedule spans the DST change on the local calendar", () => {
+    const sent = at("2026-03-02 09:00");
+    const next = calculateNextDelivery("weekly", "morning", TZ, sent, null, sent);
+
+    assert.equal(local(next), "2026-03-09 09:00 Mon");
+    assert.equal(next.getTime() - sent.getTime(), (7 * 24 - 1) * 3600 * 1000);
+});
+
+test("exact time that doesn't exist on the spring-forward day lands after the gap", () => {
+    const sent = at("2026-03-07 02:30");
+    const next = calculateNextDelivery("daily", "02:30", TZ, sent, null, sent);
+
+    assert.equal(moment(next).tz(TZ).format("YYYY-MM-DD"), "2026-03-08");
+    assert.ok(next > sent);
+});
+
+/***************************************************************
+ *  calculateNextDelivery — times and timezones
+ ***************************************************************/
+test("exact HH:MM times are used as-is", () => {
+    const next = calculateNextDelivery("daily", "07:30", TZ, null, null, at("2026-03-02 06:00"));
+    assert.equal(local(next), "2026-03-02 07:30 Mon");
+});
+
+test("windows pick a minute inside the window", () => {
+    for (let i = 0; i < 20; i++) {
+        const next = calculateNextDelivery("daily", "18:00-20:00", TZ, null, null, at("2026-03-02 12:00"));
+        const minute = moment(next).tz(TZ).hours() * 60 + moment(next).tz(TZ).minutes();
+
+        assert.equal(moment(next).tz(TZ).format("YYYY-MM-DD"), "2026-03-02");
+        assert.ok(minute >= 18 * 60 && minute <= 20 * 60, local(next));
+    }
+});
+
+test("windows only use the part still ahead of now", () => {
+    for (let i = 0; i < 20; i++) {
+        const now = at("2026-03-02 19:30");
+        const next = calculateNextDelivery("daily", "18:00-20:00", TZ, null, null, now);
+
+        assert.ok(next > now, local(next));
+        assert.equal(moment(next).tz(TZ).format("YYYY-MM-DD"), "2026-03-02");
+    }
+});
+
+test("slots follow the recipient's own timezone", () => {
+    const now = new Date("2026-03-02T12:00:00Z");
+    const next = calculateNextDelivery("daily", "morning", "Asia/Tokyo", null, null, now);
+    assert.equal(local(next, "Asia/Tokyo"), "2026-03-03 09:00 Tue");
+});
+
+test("missing or unknown timings fall back to noon", () => {
+    for (const timing of [undefined, "brunch"]) {
+        const next = calculateNextDelivery("daily", timing, TZ, null, null, at("2026-03-02 08:00"));
+        assert.equal(local(next), "2026-03-02 12:00 Mon");
+    }
+});
+
+test("unknown timezones fall back to America/Chicago", () => {
+    const next = calculateNextDelivery("daily", "morning", "Not/AZone", null, null, at("2026-03-02 08:00"));
+    assert.equal(local(next), "2026-03-02 09:00 Mon");
+});
@@ -0,0 +1,23 @@
+/***************************************************************
+ *  LoveTextForHer — WORKER
+ *  ----------------------------------------------------------
+ *  Cron jobs only. Loaded by server.js when ROLE is "worker"
+ *  or "all", so it shares the DB pool, senders and scheduler
+ *  helpers that server.js exposes on global.__LT_*.
+ *
+ *  Scale the web tier with ROLE=web and run one or more
+ *  ROLE=worker processes next to it — the scheduler claims rows
+ *  with SKIP LOCKED, so extra workers never double-send.
+ ***************************************************************/
+
+import cron from 'node-cron';
+
+export function startWorker() {
+    // Delivery scheduler, special dates and retry queue (every minute)
+    cron.schedule("* * * * *", () => global.__LT_runScheduler());
+
+    // Expired trial cleanup (hourly)
+    cron.schedule("0 * * * *", () => global.__LT_cleanupExpiredTrials());
+
+    console.log("🛠  Worker started: delivery scheduler + trial cleanup");
+}